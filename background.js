@@ -1,92 +1,175 @@
 // background.js - Service Worker for intercepting network requests
 
+importScripts(
+  'provider-adapters.js',
+  'provider-definitions.js',
+  'detection-validators.js',
+  'detection-credentials.js',
+  'detection-locales.js',
+  'detection-entropy.js',
+  'detection-bulk.js',
+  'detection-scoring.js',
+  'detection-engine.js',
+  'exact-data-match.js',
+  'document-fingerprint.js',
+  'payload-parsers.js',
+  'conversation-tracker.js',
+  'event-deduplicator.js',
+  'shadow-ai-discovery.js',
+  'provider-access-policy.js'
+);
+
 class LLMMonitor {
   constructor() {
-    this.llmEndpoints = new Map([
-      // OpenAI
-      ['chat.openai.com', { provider: 'OpenAI ChatGPT', type: 'web' }],
-      ['chatgpt.com', { provider: 'OpenAI ChatGPT', type: 'web' }],
-      ['api.openai.com', { provider: 'OpenAI', type: 'api' }],
-      
-      // Anthropic
-      ['claude.ai', { provider: 'Anthropic Claude', type: 'web' }],
-      ['api.anthropic.com', { provider: 'Anthropic', type: 'api' }],
-      
-      // Google
-      ['bard.google.com', { provider: 'Google Bard', type: 'web' }],
-      ['gemini.google.com', { provider: 'Google Gemini', type: 'web' }],
-      ['ai.google.com', { provider: 'Google AI', type: 'web' }],
-      ['aistudio.google.com', { provider: 'Google AI Studio', type: 'web' }],
-      ['makersuite.google.com', { provider: 'Google MakerSuite', type: 'web' }],
-      
-      // Microsoft
-      ['copilot.microsoft.com', { provider: 'Microsoft Copilot', type: 'web' }],
-      ['bing.com', { provider: 'Microsoft Bing Chat', type: 'web' }],
-      ['www.bing.com', { provider: 'Microsoft Bing Chat', type: 'web' }],
-      
-      // Meta
-      ['meta.ai', { provider: 'Meta AI', type: 'web' }],
-      ['llama.meta.com', { provider: 'Meta Llama', type: 'web' }],
-      
-      // Other Popular LLMs
-      ['you.com', { provider: 'You.com', type: 'web' }],
-      ['character.ai', { provider: 'Character.AI', type: 'web' }],
-      ['beta.character.ai', { provider: 'Character.AI', type: 'web' }],
-      ['poe.com', { provider: 'Poe by Quora', type: 'web' }],
-      ['pi.ai', { provider: 'Inflection Pi', type: 'web' }],
-      
-      // API Endpoints
-      ['api.cohere.ai', { provider: 'Cohere', type: 'api' }],
-      ['api.mistral.ai', { provider: 'Mistral', type: 'api' }],
-      ['chat.mistral.ai', { provider: 'Mistral Chat', type: 'web' }],
-      ['api.perplexity.ai', { provider: 'Perplexity', type: 'api' }],
-      
-      // Content Creation Tools with AI
-      ['app.writesonic.com', { provider: 'Writesonic', type: 'web' }],
-      ['app.jasper.ai', { provider: 'Jasper', type: 'web' }],
-      ['app.copy.ai', { provider: 'Copy.ai', type: 'web' }],
-      ['app.grammarly.com', { provider: 'Grammarly AI', type: 'web' }],
-      ['www.notion.so', { provider: 'Notion AI', type: 'web' }],
-      
-      // Development/Code AI
-      ['huggingface.co', { provider: 'Hugging Face', type: 'web' }],
-      ['replicate.com', { provider: 'Replicate', type: 'web' }],
-      ['together.ai', { provider: 'Together AI', type: 'web' }]
-    ]);
+    // Provider hosts, types and payload parsers (provider-adapters.js), replaced when a
+    // signed definitions bundle is active (provider-definitions.js)
+    this.definitions = new ProviderDefinitions();
+    this.providers = new ProviderRegistry();
+    this.onBeforeRequest = (details) => this.interceptRequest(details);
+    this.onResponseStarted = (details) => this.interceptResponse(details);
+
+    // Shadow AI discovery: listeners on all hosts while discovery mode is on
+    this.discovery = new ShadowAIDiscovery();
+    this.onDiscoveryRequest = (details) => this.inspectDiscoveryRequest(details);
+    this.onDiscoveryHeaders = (details) => this.inspectDiscoveryHeaders(details);
+    this.discoveryStreams = new Map(); // tabId|url -> time an unlisted host answered with an event stream
+    this.scriptUpdates = Promise.resolve(); // Serializes content script and rule updates
+
+    // Sanctioned / monitored / prohibited providers; prohibited ones are blocked with
+    // declarativeNetRequest rules and each blocked request is logged
+    this.accessPolicy = new ProviderAccessPolicy();
+    this.onProviderRedirect = (details) => this.logBlockedRequest(details);
+    this.onProviderError = (details) => this.logBlockedRequest(details);
+    this.blockedRequests = new Map(); // tabId:host -> time, for subresource blocks
     
-    this.sensitivePatterns = {
-      ssn: /\b\d{3}[-.]?\d{2}[-.]?\d{4}\b/g,
-      email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
-      phone: /\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/g,
-      creditCard: /\b\d{4}[-\s]?\d{4}[-\s]?\d{4}[-\s]?\d{4}\b/g,
-      ipAddress: /\b(?:[0-9]{1,3}\.){3}[0-9]{1,3}\b/g,
-      confidential: /(confidential|proprietary|internal\s+only|classified)/gi,
-      apiKeys: /(api[_-]?key|secret[_-]?key|access[_-]?token)[\s=:]["']?([a-zA-Z0-9_-]{20,})/gi,
-      sourceCode: /(function\s+\w+|def\s+\w+|class\s+\w+|import\s+\w+)/g,
-      sqlQueries: /(SELECT|INSERT|UPDATE|DELETE|CREATE|DROP)\s+/gi
+    this.engine = new DetectionEngine();
+    this.exactDataMatcher = new ExactDataMatcher();
+    this.documentFingerprinter = new DocumentFingerprinter();
+    this.payloadParsers = new PayloadParsers();
+    this.conversations = new ConversationTracker();
+    this.deduplicator = new EventDeduplicator();
+
+    // Settings page provider toggles, matched against the start of the provider name
+    this.providerToggles = {
+      openai: 'OpenAI',
+      anthropic: 'Anthropic',
+      google: 'Google',
+      cohere: 'Cohere',
+      mistral: 'Mistral'
     };
+
+    // Saved by settings.js under llmMonitorSettings in chrome.storage.sync
+    this.settings = {
+      providers: {},
+      customDomains: [],
+      discoveryMode: false,
+      riskThreshold: 7,
+      warnThreshold: 4,
+      enforcementMode: 'monitor',
+      providerPolicies: {},
+      approvedAssistantUrl: '',
+      prohibitedAction: 'redirect',
+      detectionCategories: {},
+      localePacks: {},
+      organizationUnit: '',
+      entropyThreshold: null,
+      scoringModel: {},
+      customPatterns: {}
+    };
+
+    // Managed policy: organizational unit -> locale pack ids
+    this.orgUnitLocalePacks = {};
+    // Managed policy: the device's organizational unit, which wins over the settings page
+    this.policyOrganizationUnit = '';
+    // Managed policy: scoring model overrides, applied on top of the settings page ones
+    this.policyScoringModel = {};
+    // Managed policy: enforcementMode, riskThreshold and warnThreshold, which win over the settings page
+    this.policyEnforcement = {};
+    // tabId -> Map(prompt fingerprint -> time) of prompts already allowed through enforcement
+    this.approvedPrompts = new Map();
+    // tabId -> Map(sensitive value fingerprint -> time) of values the user sent anyway after
+    // a warning. Request bodies without a payload parser do not match the approved composer
+    // text; they are not warned about again if they hold no other sensitive values.
+    this.approvedWarningValues = new Map();
+    // Warnings waiting for the user's decision and redactions waiting for the tab to report
+    // the placeholders it used are kept in chrome.storage.session (pending_check_<checkId>),
+    // so a service worker restart in between does not lose them
     
     this.init();
   }
 
   init() {
-    // Listen for web requests to LLM services
-    chrome.webRequest.onBeforeRequest.addListener(
-      (details) => this.interceptRequest(details),
-      {
-        urls: Array.from(this.llmEndpoints.keys()).map(domain => `*://${domain}/*`)
-      },
-      ['requestBody']
-    );
+    this.settingsLoaded = Promise.all([
+      this.loadSettings(),
+      this.exactDataMatcher.load(),
+      this.documentFingerprinter.load(),
+      this.conversations.load(),
+      this.discovery.load(),
+      this.loadProviderDefinitions()
+    ]);
 
-    // Listen for responses
-    chrome.webRequest.onResponseStarted.addListener(
-      (details) => this.interceptResponse(details),
-      {
-        urls: Array.from(this.llmEndpoints.keys()).map(domain => `*://${domain}/*`)
-      },
-      ['responseHeaders']
-    );
+    // Check the corporate endpoint for newer provider definitions; the alarm is only
+    // created once so worker restarts do not push it back
+    chrome.alarms.get('refreshProviderDefinitions').then(alarm => {
+      if (!alarm) {
+        chrome.alarms.create('refreshProviderDefinitions', {
+          periodInMinutes: this.definitions.refreshInterval / 60000
+        });
+      }
+    });
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === 'refreshProviderDefinitions') this.refreshProviderDefinitions(true);
+    });
+
+    // Older versions wrote response_<requestId> keys that nothing read; removed once,
+    // when the extension is updated from one of them
+    chrome.runtime.onInstalled.addListener(({ reason }) => {
+      if (reason === 'update') this.removeLegacyResponseKeys();
+    });
+
+    // Reload settings when they change (settings page, sync from another device)
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.llmMonitorSettings) {
+        this.applySettings(changes.llmMonitorSettings.newValue);
+      }
+      if (areaName === 'managed' && changes.localePacksByOrgUnit) {
+        this.orgUnitLocalePacks = changes.localePacksByOrgUnit.newValue || {};
+      }
+      if (areaName === 'managed' && changes.organizationUnit) {
+        this.policyOrganizationUnit = changes.organizationUnit.newValue || '';
+      }
+      if (areaName === 'managed' && changes.scoringModel) {
+        this.policyScoringModel = changes.scoringModel.newValue || {};
+        this.configureScoring();
+      }
+      if (areaName === 'managed' && (changes.enforcementMode || changes.riskThreshold || changes.warnThreshold)) {
+        this.loadEnforcementPolicy();
+      }
+      if (areaName === 'managed' &&
+          (changes.providerPolicies || changes.approvedAssistantUrl || changes.prohibitedAction)) {
+        this.accessPolicy.loadManaged().then(() => this.applyProviderDefinitions());
+      }
+
+      // EDM dictionaries: uploaded on the settings page (local) or pushed by policy (managed)
+      if ((areaName === 'local' || areaName === 'managed') && changes.edmDictionaries) {
+        this.exactDataMatcher.load();
+      }
+      if ((areaName === 'local' || areaName === 'managed') && changes.fingerprintRegistry) {
+        this.documentFingerprinter.load();
+      }
+      if (areaName === 'managed' &&
+          (changes.providerDefinitions || changes.providerDefinitionsKey || changes.providerDefinitionsUrl)) {
+        this.loadProviderDefinitions();
+      }
+    });
+
+    // Custom domains and discovery mode follow the optional host permissions
+    chrome.permissions.onAdded.addListener(() => this.applyProviderDefinitions());
+    chrome.permissions.onRemoved.addListener(() => this.applyProviderDefinitions());
+
+    // Listen for web requests to LLM services (registered now so events wake the worker,
+    // and again once the active provider definitions are known)
+    this.registerRequestListeners();
 
     // Listen for messages from content scripts
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -95,11 +178,167 @@ class LLMMonitor {
     });
   }
 
+  registerRequestListeners() {
+    const filter = { urls: this.providers.getHosts().map(domain => `*://${domain}/*`) };
+
+    chrome.webRequest.onBeforeRequest.removeListener(this.onBeforeRequest);
+    chrome.webRequest.onResponseStarted.removeListener(this.onResponseStarted);
+    chrome.webRequest.onBeforeRequest.addListener(this.onBeforeRequest, filter, ['requestBody']);
+    chrome.webRequest.onResponseStarted.addListener(this.onResponseStarted, filter, ['responseHeaders']);
+
+    // Requests the prohibited-provider rules redirected or blocked. The rules' requestDomains
+    // cover subdomains, so these listeners do too. Only page (main_frame) rules redirect;
+    // blocked requests of every type arrive as errors (see logBlockedRequest).
+    const ruleFilter = {
+      urls: this.providers.getHosts().flatMap(domain => [`*://${domain}/*`, `*://*.${domain}/*`])
+    };
+    chrome.webRequest.onBeforeRedirect.removeListener(this.onProviderRedirect);
+    chrome.webRequest.onErrorOccurred.removeListener(this.onProviderError);
+    chrome.webRequest.onBeforeRedirect.addListener(this.onProviderRedirect, { ...ruleFilter, types: ['main_frame'] });
+    chrome.webRequest.onErrorOccurred.addListener(this.onProviderError, ruleFilter);
+  }
+
+  async loadProviderDefinitions() {
+    await this.definitions.load();
+    this.applyProviderDefinitions();
+    this.refreshProviderDefinitions();
+  }
+
+  async refreshProviderDefinitions(force = false) {
+    if (await this.definitions.refresh(force)) {
+      this.applyProviderDefinitions();
+    }
+  }
+
+  // Pages opened from now on get the new definitions from GET_PROVIDER_DEFINITIONS
+  applyProviderDefinitions() {
+    this.providers = new ProviderRegistry(this.getActiveAdapters());
+    this.registerRequestListeners();
+    this.queueScriptUpdate(() => this.registerCustomDomainScripts());
+    this.queueScriptUpdate(() => this.configureDiscovery());
+    this.queueScriptUpdate(() => this.applyProviderRules());
+  }
+
+  // Replaces the extension's dynamic rules with the current prohibited-provider rules. One
+  // unsupported regexFilter would reject the whole update, so such a rule falls back to
+  // its hosts alone (blocking more rather than nothing).
+  async applyProviderRules() {
+    await this.settingsLoaded; // Managed classifications and the final definitions
+    const rules = this.accessPolicy.buildRules(this.providers.adapters);
+    for (const rule of rules) {
+      if (!rule.condition.regexFilter) continue;
+      const { isSupported, reason } =
+        await chrome.declarativeNetRequest.isRegexSupported({ regex: rule.condition.regexFilter });
+      if (!isSupported) {
+        console.error(`Provider rule ${rule.id} path filter not supported (${reason}); blocking its hosts`);
+        delete rule.condition.regexFilter;
+      }
+    }
+
+    const existing = await chrome.declarativeNetRequest.getDynamicRules();
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: existing.map(rule => rule.id),
+      addRules: rules
+    });
+  }
+
+  // Logs a request stopped by the provider rules: every page redirect or block, and the
+  // first blocked subresource per tab and host each minute
+  async logBlockedRequest(details) {
+    const redirected = Boolean(details.redirectUrl) &&
+      details.redirectUrl.startsWith(chrome.runtime.getURL(this.accessPolicy.blockedPage.slice(1)));
+    if (!redirected && details.error !== 'net::ERR_BLOCKED_BY_CLIENT') return;
+
+    await this.settingsLoaded;
+    const url = new URL(details.url);
+    const adapter = this.providers.findByHost(url.hostname);
+    if (!adapter || this.accessPolicy.classify(adapter) !== 'prohibited') return;
+
+    if (details.type !== 'main_frame') {
+      const key = `${details.tabId}:${url.hostname}`;
+      const now = Date.now();
+      if (now - (this.blockedRequests.get(key) || 0) < 60000) return;
+      for (const [seen, time] of this.blockedRequests) {
+        if (now - time >= 60000) this.blockedRequests.delete(seen);
+      }
+      this.blockedRequests.set(key, now);
+    }
+
+    const stored = await this.storeLogEntry({
+      timestamp: Date.now(),
+      tabId: details.tabId,
+      url: details.url,
+      provider: adapter.provider,
+      requestId: details.requestId,
+      method: details.method,
+      resourceType: details.type,
+      analysis: this.engine.summarize({}),
+      riskScore: 0,
+      providerPolicy: {
+        adapterId: adapter.id,
+        classification: 'prohibited',
+        action: redirected ? 'redirect' : 'block'
+      },
+      type: 'blocked_navigation'
+    });
+    this.sendToCorporateMonitoring(stored.entry);
+  }
+
+  // Provider definitions plus one adapter per admin-configured custom domain
+  getActiveAdapters() {
+    return [...this.definitions.adapters, ...this.getCustomAdapters()];
+  }
+
+  // Settings saved before custom domains had a name and type are plain host strings
+  getCustomAdapters() {
+    return this.settings.customDomains
+      .map(entry => typeof entry === 'string' ? { domain: entry } : entry)
+      .filter(entry => entry && entry.domain)
+      .map(entry => ({
+        id: `custom-${entry.domain}`,
+        provider: entry.provider || entry.domain,
+        type: entry.type === 'api' ? 'api' : 'web',
+        hosts: [entry.domain],
+        payloadParser: 'openai-chat-completions', // Most gateways are OpenAI-compatible
+        custom: true
+      }));
+  }
+
+  queueScriptUpdate(task) {
+    this.scriptUpdates = this.scriptUpdates
+      .then(task)
+      .catch(error => console.error('Failed to update content scripts or rules:', error));
+  }
+
+  // Web custom domains get the manifest content scripts once their optional host
+  // permission is granted (requested by the settings page when they are saved)
+  async registerCustomDomainScripts() {
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: ['custom-domains'] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: ['custom-domains'] });
+    }
+
+    const matches = [];
+    for (const adapter of this.getCustomAdapters().filter(adapter => adapter.type === 'web')) {
+      const pattern = `*://${adapter.hosts[0]}/*`;
+      if (await chrome.permissions.contains({ origins: [pattern] })) matches.push(pattern);
+    }
+    if (matches.length === 0) return;
+
+    const [manifestScripts] = chrome.runtime.getManifest().content_scripts;
+    await chrome.scripting.registerContentScripts([{
+      id: 'custom-domains',
+      matches,
+      js: manifestScripts.js,
+      runAt: manifestScripts.run_at
+    }]);
+  }
+
   interceptRequest(details) {
     const url = new URL(details.url);
-    const endpoint = this.llmEndpoints.get(url.hostname);
+    const adapter = this.providers.findByHost(url.hostname);
     
-    if (!endpoint) return;
+    if (!adapter) return;
 
     // Only process POST requests (where LLM interactions typically happen)
     if (details.method !== 'POST') return;
@@ -111,105 +350,301 @@ class LLMMonitor {
         requestBody = JSON.stringify(details.requestBody.formData);
       } else if (details.requestBody.raw) {
         // Handle raw data (typical for API calls)
-        const decoder = new TextDecoder();
-        requestBody = details.requestBody.raw
-          .map(chunk => decoder.decode(chunk.bytes))
-          .join('');
+        requestBody = this.decodeRawBody(details.requestBody.raw);
       }
     }
 
+    // Known endpoints: analyze only the user's message, keep model/conversation as fields
+    const payload = this.payloadParsers.parse(
+      details.url,
+      details.requestBody && details.requestBody.formData ? details.requestBody.formData : requestBody,
+      adapter.payloadParser
+    );
+
     // Analyze the request
     this.analyzeAndLogRequest({
       timestamp: Date.now(),
       tabId: details.tabId,
       url: details.url,
-      provider: endpoint.provider,
-      type: endpoint.type,
+      provider: adapter.provider,
+      type: adapter.type,
       method: details.method,
-      requestBody: requestBody,
+      requestBody: payload ? payload.prompt : requestBody,
+      payload,
+      captureSource: payload ? 'web_request' : 'web_request_raw',
       requestId: details.requestId
     });
   }
 
+  // Binary uploads decode to noise (the content script inspects the files instead)
+  decodeRawBody(raw) {
+    const decoder = new TextDecoder();
+    const decoded = raw.map(chunk => chunk.bytes ? decoder.decode(chunk.bytes) : '').join('');
+    return this.isBinaryBody(raw, decoded) ? '' : decoded;
+  }
+
+  isBinaryBody(raw, decoded) {
+    if (raw.some(chunk => chunk.file)) return true;
+
+    const sample = decoded.slice(0, 4096);
+    const unreadable = (sample.match(/[\uFFFD\u0000-\u0008\u000E-\u001F]/g) || []).length;
+    return sample.length > 0 && unreadable / sample.length > 0.05;
+  }
+
+  // Discovery mode needs the optional <all_urls> permission, granted on the settings page
+  async configureDiscovery() {
+    const enabled = this.settings.discoveryMode &&
+      await chrome.permissions.contains({ origins: ['<all_urls>'] });
+
+    chrome.webRequest.onBeforeRequest.removeListener(this.onDiscoveryRequest);
+    chrome.webRequest.onHeadersReceived.removeListener(this.onDiscoveryHeaders);
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: ['shadow-ai-discovery'] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: ['shadow-ai-discovery'] });
+    }
+
+    if (!enabled) return;
+
+    const filter = { urls: ['<all_urls>'], types: ['xmlhttprequest', 'other'] };
+    chrome.webRequest.onBeforeRequest.addListener(this.onDiscoveryRequest, filter, ['requestBody']);
+    chrome.webRequest.onHeadersReceived.addListener(this.onDiscoveryHeaders, filter, ['responseHeaders']);
+
+    // Page probe for streamed chat chunks, on every site no adapter covers
+    await chrome.scripting.registerContentScripts([{
+      id: 'shadow-ai-discovery',
+      matches: ['<all_urls>'],
+      excludeMatches: this.providers.getHosts().map(host => `*://${host}/*`),
+      js: ['discovery-content.js'],
+      runAt: 'document_start'
+    }]);
+  }
+
+  // Hosts covered by an adapter (custom domains included) are monitored, not discovered
+  isUnlistedHost(hostname) {
+    return !this.providers.findByHost(hostname);
+  }
+
+  // Requests from the extension itself (tabId -1) are skipped
+  inspectDiscoveryRequest(details) {
+    if (details.method !== 'POST' || details.tabId < 0) return;
+
+    const url = new URL(details.url);
+    if (!this.isUnlistedHost(url.hostname)) return;
+
+    const raw = details.requestBody && details.requestBody.raw;
+    const body = raw ? this.decodeRawBody(raw) : '';
+    this.discovery.record(url.hostname, this.discovery.inspectRequest(url, body), details.url);
+  }
+
+  inspectDiscoveryHeaders(details) {
+    if (details.tabId < 0) return;
+
+    const url = new URL(details.url);
+    if (!this.isUnlistedHost(url.hostname)) return;
+
+    const signals = this.discovery.inspectResponseHeaders(details.responseHeaders);
+    this.discovery.record(url.hostname, signals, details.url);
+
+    // The page probe reads these streams; only they can be reported from the page
+    if (signals.includes('event_stream')) {
+      this.discoveryStreams.set(`${details.tabId}|${details.url}`, Date.now());
+      if (this.discoveryStreams.size > 100) {
+        this.discoveryStreams.delete(this.discoveryStreams.keys().next().value);
+      }
+    }
+  }
+
+  // Page probe signals belong to the host that served the stream, like the webRequest ones.
+  // The page names the stream URL, so it is only taken when webRequest saw that tab receive
+  // an event stream from it; a page cannot credit signals to a host it did not stream from.
+  recordProbeSignal(data, sender) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.signals) || typeof data.url !== 'string') {
+      console.error('Malformed discovery signal:', data);
+      return;
+    }
+
+    const tabId = sender.tab ? sender.tab.id : -1;
+    const streamKey = `${tabId}|${data.url}`;
+    if (!this.discoveryStreams.has(streamKey)) return;
+    this.discoveryStreams.delete(streamKey);
+
+    const signals = data.signals.filter(signal => signal === 'sse_chat_chunks');
+    const url = new URL(data.url);
+    if (this.isUnlistedHost(url.hostname)) {
+      this.discovery.record(url.hostname, signals, url.href);
+    }
+  }
+
   async interceptResponse(details) {
     // We'll get the actual response content from content scripts
     // since webRequest API doesn't provide response body in Manifest V3
     
     const url = new URL(details.url);
-    const endpoint = this.llmEndpoints.get(url.hostname);
     
-    if (endpoint) {
-      // Store response metadata for correlation
-      await this.storeResponseMetadata({
-        requestId: details.requestId,
-        timestamp: Date.now(),
-        statusCode: details.statusCode,
-        provider: endpoint.provider
-      });
+    if (this.providers.findByHost(url.hostname)) {
+      // Attach the status code to the request's conversation turn
+      await this.settingsLoaded;
+      this.conversations.recordStatus(details.requestId, details.statusCode);
+    }
+  }
+
+  async removeLegacyResponseKeys() {
+    try {
+      const stored = await chrome.storage.local.get(null);
+      const legacyKeys = Object.keys(stored).filter(key => key.startsWith('response_'));
+      if (legacyKeys.length > 0) {
+        await chrome.storage.local.remove(legacyKeys);
+      }
+    } catch (error) {
+      console.error('Failed to remove legacy response keys:', error);
     }
   }
 
+  async loadSettings() {
+    try {
+      const { llmMonitorSettings } = await chrome.storage.sync.get(['llmMonitorSettings']);
+      this.applySettings(llmMonitorSettings);
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+    }
+
+    try {
+      const { localePacksByOrgUnit = {}, scoringModel = {}, organizationUnit = '' } =
+        await chrome.storage.managed.get(['localePacksByOrgUnit', 'scoringModel', 'organizationUnit']);
+      this.orgUnitLocalePacks = localePacksByOrgUnit;
+      this.policyScoringModel = scoringModel;
+      this.policyOrganizationUnit = typeof organizationUnit === 'string' ? organizationUnit : '';
+      this.configureScoring();
+    } catch (error) {
+      console.error('Failed to read managed locale packs:', error);
+    }
+
+    await this.loadEnforcementPolicy();
+    await this.accessPolicy.loadManaged();
+  }
+
+  async loadEnforcementPolicy() {
+    try {
+      const { enforcementMode, riskThreshold, warnThreshold } =
+        await chrome.storage.managed.get(['enforcementMode', 'riskThreshold', 'warnThreshold']);
+      this.policyEnforcement = { enforcementMode, riskThreshold, warnThreshold };
+    } catch (error) {
+      console.error('Failed to read managed enforcement policy:', error);
+    }
+  }
+
+  // { mode: 'monitor' | 'warn' | 'block' | 'redact', riskThreshold, warnThreshold }; the
+  // warning threshold is never above the blocking one
+  getEnforcementPolicy() {
+    const modes = ['monitor', 'warn', 'block', 'redact'];
+    const mode = [this.policyEnforcement.enforcementMode, this.settings.enforcementMode]
+      .find(value => modes.includes(value)) || 'monitor';
+    const riskThreshold = Number(this.policyEnforcement.riskThreshold) || this.settings.riskThreshold;
+    const warnThreshold = Math.min(
+      Number(this.policyEnforcement.warnThreshold) || this.settings.warnThreshold,
+      riskThreshold
+    );
+    return { mode, riskThreshold, warnThreshold };
+  }
+
+  applySettings(settings = {}) {
+    this.settings = {
+      providers: settings.providers || {},
+      customDomains: settings.customDomains || [],
+      discoveryMode: Boolean(settings.discoveryMode),
+      riskThreshold: Number(settings.riskThreshold) || 7,
+      warnThreshold: Number(settings.warnThreshold) || 4,
+      enforcementMode: settings.enforcementMode || 'monitor',
+      detectionCategories: settings.detectionCategories || {},
+      localePacks: settings.localePacks || {},
+      organizationUnit: settings.organizationUnit || '',
+      entropyThreshold: settings.entropyThreshold || null,
+      scoringModel: settings.scoringModel || {},
+      customPatterns: settings.customPatterns || {},
+      providerPolicies: settings.providerPolicies || {},
+      approvedAssistantUrl: settings.approvedAssistantUrl || '',
+      prohibitedAction: settings.prohibitedAction || 'redirect'
+    };
+    this.accessPolicy.configure(this.settings);
+    this.configureScoring();
+    this.applyProviderDefinitions();
+  }
+
+  configureScoring() {
+    this.engine.configureScoring(
+      this.engine.resolveScoringModel(this.settings.scoringModel, this.policyScoringModel)
+    );
+  }
+
+  isProviderEnabled(provider) {
+    if (!provider) return true;
+
+    const toggle = Object.keys(this.providerToggles)
+      .find(key => provider.startsWith(this.providerToggles[key]));
+
+    return !toggle || this.settings.providers[toggle] !== false;
+  }
+
   async analyzeAndLogRequest(requestData) {
-    const analysis = this.analyzeSensitiveData(requestData.requestBody);
+    await this.settingsLoaded;
+    if (!this.isProviderEnabled(requestData.provider)) return;
+
+    const analysis = await this.analyzeSensitiveData(requestData.requestBody);
+    
+    const { score, breakdown } = this.engine.explainScore(analysis);
     
     const logEntry = {
       ...requestData,
       analysis,
-      riskScore: this.calculateRiskScore(analysis)
+      riskScore: score,
+      scoreBreakdown: breakdown
     };
 
     // Store locally
-    await this.storeLogEntry(logEntry);
+    const stored = await this.storeLogEntry(logEntry);
     
     // Send alert if high risk
-    if (logEntry.riskScore >= 7) {
-      this.sendAlert(logEntry);
+    if (this.isNewHighRisk(stored)) {
+      this.sendAlert(stored.entry);
     }
 
     console.log('LLM Request Intercepted:', logEntry);
   }
 
-  analyzeSensitiveData(text) {
-    if (!text || typeof text !== 'string') return { matches: [], types: [] };
-
-    const matches = {};
-    const types = [];
-
-    for (const [type, pattern] of Object.entries(this.sensitivePatterns)) {
-      const found = text.match(pattern);
-      if (found && found.length > 0) {
-        matches[type] = found;
-        types.push(type);
-      }
-    }
-
-    return {
-      matches,
-      types,
-      hasPersonalData: types.some(t => ['ssn', 'email', 'phone', 'creditCard'].includes(t)),
-      hasSecrets: types.some(t => ['apiKeys', 'confidential'].includes(t)),
-      hasCode: types.includes('sourceCode'),
-      totalMatches: Object.values(matches).reduce((sum, arr) => sum + arr.length, 0)
-    };
-  }
+  async analyzeSensitiveData(text) {
+    const externalMatches = await this.exactDataMatcher.match(text);
 
-  calculateRiskScore(analysis) {
-    let score = 0;
-    
-    // Base scoring
-    if (analysis.hasPersonalData) score += 5;
-    if (analysis.hasSecrets) score += 8;
-    if (analysis.hasCode) score += 3;
-    
-    // Volume multiplier
-    if (analysis.totalMatches > 5) score += 2;
-    if (analysis.totalMatches > 10) score += 3;
-    
-    return Math.min(score, 10); // Cap at 10
+    return this.engine.analyze(text, {
+      categories: this.settings.detectionCategories,
+      locales: this.engine.resolveLocalePacks(
+        this.settings.localePacks,
+        this.policyOrganizationUnit || this.settings.organizationUnit,
+        this.orgUnitLocalePacks
+      ),
+      customPatterns: this.settings.customPatterns,
+      entropyThreshold: this.settings.entropyThreshold,
+      externalMatches,
+      documentMatches: this.documentFingerprinter.match(text)
+    });
   }
 
+  // Returns { entry, previousRiskScore }: the stored entry, which is an earlier capture of
+  // the same message when another layer logged it first (previousRiskScore is then its
+  // score before the merge, and null for new entries)
   async storeLogEntry(entry) {
+    const duplicateKey = this.deduplicator.findDuplicate(entry);
+    if (duplicateKey) {
+      const merged = await this.mergeLogEntry(duplicateKey, entry);
+      if (merged) return merged;
+    }
+
     const key = `llm_log_${entry.timestamp}_${entry.requestId}`;
+    entry.captureSources = [this.deduplicator.getCaptureSource(entry)];
+    this.deduplicator.remember(entry, key);
+    // A blocked navigation is not a message, so it is not a conversation turn
+    if (entry.type !== 'blocked_navigation') {
+      Object.assign(entry, this.conversations.record(entry, key));
+    }
     await chrome.storage.local.set({ [key]: entry });
     
     // Also maintain an index
@@ -231,12 +666,34 @@ class LLMMonitor {
     }
     
     await chrome.storage.local.set({ logIndex });
+    return { entry, previousRiskScore: null };
   }
 
-  async storeResponseMetadata(metadata) {
-    await chrome.storage.local.set({ 
-      [`response_${metadata.requestId}`]: metadata 
-    });
+  async mergeLogEntry(key, duplicate) {
+    const { [key]: existing } = await chrome.storage.local.get([key]);
+    if (!existing) return null;
+
+    const merged = this.deduplicator.merge(existing, duplicate);
+    this.deduplicator.remember(merged, key);
+    this.conversations.updateTurn(merged.conversationKey, key, merged);
+    await chrome.storage.local.set({ [key]: merged });
+
+    if (merged.riskScore !== existing.riskScore) {
+      const { logIndex = [] } = await chrome.storage.local.get(['logIndex']);
+      const item = logIndex.find(indexed => indexed.key === key);
+      if (item) {
+        item.riskScore = merged.riskScore;
+        await chrome.storage.local.set({ logIndex });
+      }
+    }
+
+    return { entry: merged, previousRiskScore: existing.riskScore };
+  }
+
+  // Alert once per message, also when a better capture raises an earlier entry's score
+  isNewHighRisk({ entry, previousRiskScore }) {
+    const { riskThreshold } = this.getEnforcementPolicy();
+    return entry.riskScore >= riskThreshold && !(previousRiskScore >= riskThreshold);
   }
 
   sendAlert(logEntry) {
@@ -244,8 +701,8 @@ class LLMMonitor {
     chrome.notifications.create({
       type: 'basic',
       iconUrl: 'icon48.png',
-      title: 'High Risk LLM Interaction Detected',
-      message: `Sensitive data detected in ${logEntry.provider} request (Risk: ${logEntry.riskScore}/10)`
+      title: logEntry.type === 'blocked' ? 'High Risk Prompt Blocked' : 'High Risk LLM Interaction Detected',
+      message: `Sensitive data detected in ${logEntry.provider} ${logEntry.type === 'blocked' ? 'prompt' : 'request'} (Risk: ${logEntry.riskScore}/10)`
     });
 
     // Could also send to corporate monitoring system
@@ -266,7 +723,12 @@ class LLMMonitor {
             provider: logEntry.provider,
             riskScore: logEntry.riskScore,
             sensitiveTypes: logEntry.analysis.types,
-            url: logEntry.url
+            jurisdictions: logEntry.analysis.jurisdictions,
+            url: logEntry.url,
+            enforcement: logEntry.enforcement || null,
+            justification: logEntry.justification || null,
+            redactions: logEntry.redactions || null,
+            providerPolicy: logEntry.providerPolicy || null
           })
         });
       }
@@ -293,16 +755,105 @@ class LLMMonitor {
         await this.logResponse(message.data);
         sendResponse({ success: true });
         break;
+
+      case 'LOG_REQUEST':
+        await this.logPrompt({ ...message.data, tabId: sender.tab ? sender.tab.id : -1 });
+        sendResponse({ success: true });
+        break;
+
+      case 'LOG_UPLOAD':
+        await this.logUpload({ ...message.data, tabId: sender.tab ? sender.tab.id : -1 });
+        sendResponse({ success: true });
+        break;
         
       case 'GET_LOGS':
         const logs = await this.getLogs(message.filters);
         sendResponse({ logs });
         break;
         
+      case 'GET_CONVERSATIONS':
+        await this.settingsLoaded;
+        sendResponse({ conversations: this.conversations.list(message.filters) });
+        break;
+
+      case 'GET_CONVERSATION':
+        await this.settingsLoaded;
+        sendResponse({ conversation: await this.conversations.getThread(message.key) });
+        break;
+        
       case 'EXPORT_LOGS':
         const exportData = await this.exportLogs();
         sendResponse({ data: exportData });
         break;
+
+      case 'GET_PROVIDER_DEFINITIONS':
+        await this.settingsLoaded;
+        sendResponse({
+          adapters: this.getActiveAdapters(),
+          status: this.definitions.getStatus(),
+          policy: this.accessPolicy.describe(this.providers.adapters)
+        });
+        break;
+
+      case 'GET_PROVIDER_POLICY': {
+        await this.settingsLoaded;
+        const adapter = this.providers.adapters.find(item => item.id === message.provider);
+        sendResponse({
+          adapter: adapter ? { id: adapter.id, provider: adapter.provider, hosts: adapter.hosts } : null,
+          classification: adapter ? this.accessPolicy.classify(adapter) : null,
+          approvedAssistantUrl: this.accessPolicy.getApprovedAssistantUrl(this.providers.adapters)
+        });
+        break;
+      }
+
+      case 'REFRESH_PROVIDER_DEFINITIONS':
+        await this.settingsLoaded;
+        await this.refreshProviderDefinitions(true);
+        sendResponse({ status: this.definitions.getStatus() });
+        break;
+
+      case 'GET_ENFORCEMENT_POLICY':
+        await this.settingsLoaded;
+        sendResponse(this.getEnforcementPolicy());
+        break;
+
+      case 'CHECK_PROMPT':
+        sendResponse(await this.checkPrompt({ ...message.data, tabId: sender.tab ? sender.tab.id : -1 }));
+        break;
+
+      case 'RECORD_DECISION':
+        await this.recordDecision(message.data);
+        sendResponse({ success: true });
+        break;
+
+      case 'RECORD_REDACTION':
+        await this.recordRedaction(message.data);
+        sendResponse({ success: true });
+        break;
+
+      case 'DISCOVERY_SIGNAL':
+        await this.settingsLoaded;
+        if (this.settings.discoveryMode) {
+          this.recordProbeSignal(message.data, sender);
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'GET_DISCOVERED_SERVICES':
+        await this.settingsLoaded;
+        sendResponse({ services: this.discovery.list() });
+        break;
+
+      case 'REMOVE_DISCOVERED_SERVICE':
+        await this.settingsLoaded;
+        this.discovery.remove(message.host);
+        sendResponse({ success: true });
+        break;
+
+      case 'SETTINGS_UPDATED':
+        this.applySettings(message.settings);
+        sendResponse({ success: true });
+        break;
         
       default:
         sendResponse({ error: 'Unknown message type' });
@@ -310,18 +861,366 @@ class LLMMonitor {
   }
 
   async logResponse(responseData) {
-    const analysis = this.analyzeSensitiveData(responseData.content);
+    await this.settingsLoaded;
+    if (!this.isProviderEnabled(responseData.provider)) return;
+
+    const analysis = await this.analyzeSensitiveData(responseData.content);
+    
+    const { score, breakdown } = this.engine.explainScore(analysis);
     
     const logEntry = {
       ...responseData,
       analysis,
-      riskScore: this.calculateRiskScore(analysis),
+      riskScore: score,
+      scoreBreakdown: breakdown,
       type: 'response'
     };
 
     await this.storeLogEntry(logEntry);
   }
 
+  // Prompts captured from the page composer (typed, sent or pasted)
+  async logPrompt(promptData) {
+    await this.settingsLoaded;
+    if (!this.isProviderEnabled(promptData.provider)) return;
+
+    const analysis = await this.analyzeSensitiveData(promptData.content);
+
+    const { score, breakdown } = this.engine.explainScore(analysis);
+
+    const logEntry = {
+      ...promptData,
+      requestId: crypto.randomUUID(),
+      analysis,
+      riskScore: score,
+      scoreBreakdown: breakdown,
+      type: 'request'
+    };
+
+    const stored = await this.storeLogEntry(logEntry);
+
+    if (this.isNewHighRisk(stored)) {
+      this.sendAlert(stored.entry);
+    }
+  }
+
+  // Verdict for a prompt about to be sent: composer text from the content script, or a
+  // request body from the page hooks (source 'network'). Returns { action, riskScore,
+  // riskThreshold, items }. Block mode stops prompts at the risk threshold and logs them
+  // as 'blocked' events; prompts at the warning threshold get a checkId and wait for the
+  // user's decision (recordDecision). Redact mode returns the values to replace at the risk
+  // threshold, and the tab reports what it replaced (recordRedaction); when none of the
+  // detected data can be replaced the prompt is blocked and logged as in block mode.
+  async checkPrompt(check) {
+    await this.settingsLoaded;
+    const { mode, riskThreshold, warnThreshold } = this.getEnforcementPolicy();
+    if (mode === 'monitor' || !this.isProviderEnabled(check.provider)) return { action: 'allow' };
+
+    let content = check.content;
+    let payload = null;
+    if (check.source === 'network') {
+      const adapter = this.providers.findByUrl(check.url);
+      payload = adapter ? this.payloadParsers.parse(check.url, check.body, adapter.payloadParser) : null;
+      content = payload ? payload.prompt : check.body;
+    }
+    if (!content || this.isApprovedPrompt(check.tabId, content)) return { action: 'allow' };
+
+    const analysis = await this.analyzeSensitiveData(content);
+    const { score, breakdown } = this.engine.explainScore(analysis);
+
+    const redactions = mode === 'redact' ? this.getRedactions(analysis) : [];
+    let action = 'allow';
+    if (mode === 'redact') {
+      // EDM hits, bulk data and document overlaps cannot be replaced by placeholders; a
+      // prompt at the risk threshold with nothing to redact is blocked instead
+      if (score >= riskThreshold) action = redactions.length > 0 ? 'redact' : 'block';
+    } else if (mode === 'block' && score >= riskThreshold) {
+      action = 'block';
+    } else if (score >= warnThreshold && !this.isWarningApproved(check.tabId, analysis)) {
+      action = 'warn';
+    }
+
+    const verdict = {
+      action,
+      riskScore: score,
+      riskThreshold,
+      items: analysis.types.map(type => ({
+        type,
+        label: analysis.labels[type],
+        count: analysis.matches[type].length
+      }))
+    };
+
+    if (action === 'allow') {
+      this.approvePrompt(check.tabId, content);
+      return verdict;
+    }
+
+    const entry = {
+      timestamp: Date.now(),
+      tabId: check.tabId,
+      url: check.pageUrl || check.url,
+      provider: check.provider,
+      requestId: crypto.randomUUID(),
+      method: check.source,
+      captureSource: 'enforcement_check',
+      enforcement: { mode, riskThreshold, warnThreshold, action },
+      type: 'blocked'
+    };
+    if (mode === 'redact' && action === 'block') {
+      entry.enforcement.nothingToRedact = true;
+      verdict.note = 'The sensitive data in this prompt cannot be replaced by placeholders, so it was blocked.';
+    }
+
+    // The redacted prompt is logged when the tab reports it; the original is only kept in
+    // memory, to be logged as blocked (like block mode) if the tab could not redact it
+    if (action === 'redact') {
+      verdict.checkId = crypto.randomUUID();
+      verdict.redactions = redactions;
+      entry.enforcement.originalRiskScore = score;
+      await this.savePendingCheck(verdict.checkId, {
+        entry: { ...entry, type: 'request' },
+        original: { content, payload, analysis, riskScore: score, scoreBreakdown: breakdown },
+        requestUrl: check.url,
+        created: Date.now()
+      });
+      return verdict;
+    }
+
+    Object.assign(entry, { content, payload, analysis, riskScore: score, scoreBreakdown: breakdown });
+
+    if (action === 'warn') {
+      verdict.checkId = crypto.randomUUID();
+      await this.savePendingCheck(verdict.checkId, { entry, created: Date.now() });
+      return verdict;
+    }
+
+    const stored = await this.storeLogEntry(entry);
+    if (this.isNewHighRisk(stored)) {
+      this.sendAlert(stored.entry);
+    }
+    return verdict;
+  }
+
+  // The user's answer to a warning: { checkId, decision: 'proceed' | 'cancel', reason,
+  // text, decisionTime (ms) }. Proceeding logs the prompt as a request (the send that
+  // follows merges into it), cancelling logs it as blocked; both go to corporate monitoring.
+  async recordDecision(decision) {
+    const pending = await this.takePendingCheck(decision.checkId, 'warn');
+    if (!pending) return;
+
+    const proceed = decision.decision === 'proceed';
+    if (proceed) {
+      this.approvePrompt(pending.entry.tabId, pending.entry.content);
+      this.approveWarningValues(pending.entry.tabId, pending.entry.analysis);
+    }
+
+    const stored = await this.storeLogEntry({
+      ...pending.entry,
+      timestamp: Date.now(),
+      type: proceed ? 'request' : 'blocked',
+      justification: {
+        decision: proceed ? 'proceed' : 'cancel',
+        reason: String(decision.reason || '').slice(0, 200) || null,
+        text: String(decision.text || '').trim().slice(0, 2000) || null,
+        decisionTime: Number(decision.decisionTime) || null
+      }
+    });
+
+    if (this.isNewHighRisk(stored)) {
+      this.sendAlert(stored.entry);
+    } else {
+      this.sendToCorporateMonitoring(stored.entry);
+    }
+  }
+
+  // The tab's report for a redact verdict: { checkId, content (the redacted prompt or
+  // request body), redactions: [{ type, label, placeholder }] }. The entry is analyzed
+  // as sent and lists the placeholders; the original values are never logged. A report
+  // with failed: true means a value could not be replaced and the send was blocked.
+  async recordRedaction(report) {
+    const pending = await this.takePendingCheck(report.checkId, 'redact');
+    if (!pending) return;
+
+    if (report.failed) {
+      const stored = await this.storeLogEntry({
+        ...pending.entry,
+        ...pending.original,
+        timestamp: Date.now(),
+        enforcement: { ...pending.entry.enforcement, action: 'block', redactionFailed: true },
+        type: 'blocked'
+      });
+      if (this.isNewHighRisk(stored)) {
+        this.sendAlert(stored.entry);
+      } else {
+        this.sendToCorporateMonitoring(stored.entry);
+      }
+      return;
+    }
+
+    let content = String(report.content || '');
+    let payload = null;
+    if (pending.entry.method === 'network') {
+      const adapter = this.providers.findByUrl(pending.requestUrl);
+      payload = adapter ? this.payloadParsers.parse(pending.requestUrl, content, adapter.payloadParser) : null;
+      if (payload) content = payload.prompt;
+    }
+
+    const analysis = await this.analyzeSensitiveData(content);
+    const { score, breakdown } = this.engine.explainScore(analysis);
+    const redactions = (report.redactions || [])
+      .filter(item => /^\[[A-Z0-9_]+_\d+\]$/.test(item.placeholder))
+      .map(item => ({
+        type: String(item.type),
+        label: this.engine.getLabel(String(item.type)),
+        placeholder: item.placeholder
+      }));
+
+    const stored = await this.storeLogEntry({
+      ...pending.entry,
+      timestamp: Date.now(),
+      content,
+      payload,
+      analysis,
+      riskScore: score,
+      scoreBreakdown: breakdown,
+      redactions
+    });
+    if (this.isNewHighRisk(stored)) {
+      this.sendAlert(stored.entry);
+    }
+  }
+
+  // Values the tab can replace: PII, financial and secret rule hits, high-entropy tokens
+  // and custom patterns. EDM hits are hash prefixes, and bulk data and document overlaps
+  // are summaries, so they cannot be located in the text.
+  getRedactions(analysis) {
+    const categories = ['pii', 'financial', 'secrets', 'custom'];
+    return analysis.types
+      .filter(type => !type.includes(':') && categories.includes(analysis.categories[type]))
+      .map(type => ({
+        type,
+        label: analysis.labels[type],
+        values: Array.from(new Set(analysis.matches[type]))
+      }));
+  }
+
+  // Session storage is held in memory and cleared when the browser closes, so the original
+  // prompt of a redact check never reaches disk
+  async savePendingCheck(checkId, pending) {
+    await this.prunePendingChecks();
+    try {
+      await chrome.storage.session.set({ [`pending_check_${checkId}`]: pending });
+    } catch (error) {
+      console.error('Failed to save pending enforcement check:', error);
+    }
+  }
+
+  // Returns the pending check and removes it, or null (logged) when there is none for the
+  // checkId or it is not of the expected action
+  async takePendingCheck(checkId, action) {
+    const key = `pending_check_${checkId}`;
+    let pending = null;
+    try {
+      ({ [key]: pending = null } = await chrome.storage.session.get([key]));
+      await chrome.storage.session.remove(key);
+    } catch (error) {
+      console.error('Failed to read pending enforcement check:', error);
+    }
+
+    if (!pending || pending.entry.enforcement.action !== action) {
+      console.error(`No pending ${action} check for ${checkId}; the decision was not recorded`);
+      return null;
+    }
+    return pending;
+  }
+
+  // Warnings nobody answered and redactions never reported (tab closed, page reloaded)
+  async prunePendingChecks() {
+    const cutoff = Date.now() - 30 * 60 * 1000;
+    try {
+      const stored = await chrome.storage.session.get(null);
+      const expired = Object.keys(stored)
+        .filter(key => key.startsWith('pending_check_') && stored[key].created < cutoff);
+      if (expired.length > 0) await chrome.storage.session.remove(expired);
+    } catch (error) {
+      console.error('Failed to prune pending enforcement checks:', error);
+    }
+  }
+
+  // A prompt the composer check let through is not checked again when the page sends it
+  approvePrompt(tabId, content) {
+    const now = Date.now();
+    const approved = this.approvedPrompts.get(tabId) || new Map();
+    for (const [fingerprint, time] of approved) {
+      if (now - time > this.deduplicator.window) approved.delete(fingerprint);
+    }
+    approved.set(EventDeduplicator.fingerprint(EventDeduplicator.normalize(content)), now);
+    this.approvedPrompts.set(tabId, approved);
+  }
+
+  isApprovedPrompt(tabId, content) {
+    const approved = this.approvedPrompts.get(tabId);
+    const time = approved && approved.get(EventDeduplicator.fingerprint(EventDeduplicator.normalize(content)));
+    return Boolean(time) && Date.now() - time <= this.deduplicator.window;
+  }
+
+  // One fingerprint per detected value (or per type for summary-only types such as bulk data)
+  warningValueFingerprints(analysis) {
+    return analysis.types.flatMap(type => {
+      const values = analysis.matches[type] || [];
+      return values.length ? values.map(value => `${type}:${EventDeduplicator.normalize(value)}`) : [type];
+    }).map(key => EventDeduplicator.fingerprint(key));
+  }
+
+  approveWarningValues(tabId, analysis) {
+    const now = Date.now();
+    const approved = this.approvedWarningValues.get(tabId) || new Map();
+    for (const [fingerprint, time] of approved) {
+      if (now - time > this.deduplicator.window) approved.delete(fingerprint);
+    }
+    for (const fingerprint of this.warningValueFingerprints(analysis)) approved.set(fingerprint, now);
+    this.approvedWarningValues.set(tabId, approved);
+  }
+
+  // True when every sensitive value in the analysis was just sent anyway after a warning
+  isWarningApproved(tabId, analysis) {
+    const approved = this.approvedWarningValues.get(tabId);
+    if (!approved || analysis.types.length === 0) return false;
+
+    const now = Date.now();
+    return this.warningValueFingerprints(analysis).every(fingerprint =>
+      now - (approved.get(fingerprint) || 0) <= this.deduplicator.window
+    );
+  }
+
+  // Files attached to a chat; text extracted by file-inspector.js is analyzed, not stored
+  async logUpload(uploadData) {
+    await this.settingsLoaded;
+    if (!this.isProviderEnabled(uploadData.provider)) return;
+
+    const { content, ...metadata } = uploadData;
+    const analysis = await this.analyzeSensitiveData(content);
+
+    const { score, breakdown } = this.engine.explainScore(analysis);
+
+    const logEntry = {
+      ...metadata,
+      requestId: crypto.randomUUID(),
+      textLength: content ? content.length : 0,
+      analysis,
+      riskScore: score,
+      scoreBreakdown: breakdown,
+      type: 'upload'
+    };
+
+    const stored = await this.storeLogEntry(logEntry);
+
+    if (this.isNewHighRisk(stored)) {
+      this.sendAlert(stored.entry);
+    }
+  }
+
   async getLogs(filters = {}) {
     const { logIndex = [] } = await chrome.storage.local.get(['logIndex']);
     
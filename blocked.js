@@ -0,0 +1,39 @@
+// blocked.js - Policy page shown instead of a prohibited LLM provider
+// Opened by the declarativeNetRequest redirect (provider-access-policy.js) with the
+// adapter id in ?provider=; the blocked navigation itself is logged by the background.
+
+class BlockedPage {
+  constructor() {
+    this.providerId = new URLSearchParams(window.location.search).get('provider');
+    this.init();
+  }
+
+  async init() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_PROVIDER_POLICY',
+        provider: this.providerId
+      });
+      if (response) this.render(response);
+    } catch (error) {
+      console.error('Failed to load provider policy:', error);
+    }
+  }
+
+  render({ adapter, approvedAssistantUrl }) {
+    if (adapter) {
+      document.getElementById('providerName').textContent = adapter.provider;
+      document.getElementById('providerHosts').textContent = `(${adapter.hosts.join(', ')})`;
+    }
+
+    if (approvedAssistantUrl && /^https?:\/\//i.test(approvedAssistantUrl)) {
+      document.getElementById('approvedAssistantLink').href = approvedAssistantUrl;
+      document.getElementById('approvedAssistant').hidden = false;
+    }
+  }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new BlockedPage();
+});
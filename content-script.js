@@ -4,171 +4,290 @@ class LLMContentMonitor {
   constructor() {
     this.isMonitoring = false;
     this.responseBuffer = [];
+    this.lastPrompt = null;
+    this.fileInspector = new FileInspector();
+    this.inspectedFiles = new Map(); // sha256 -> time, so one attachment is logged once
+    this.responseStates = new WeakMap(); // reply element -> { text, changed, logged }
+    this.adapter = null;
+    this.enforcement = { mode: 'monitor' };
+    this.enforcementUI = new EnforcementUI();
+    this.redactor = new PromptRedactor();
+    this.releasing = false; // Set while a held send is replayed, so it is not held again
     this.init();
   }
 
-  init() {
-    // Inject script to intercept fetch/XMLHttpRequest at page level
-    const script = document.createElement('script');
-    script.src = chrome.runtime.getURL('injected.js');
-    script.onload = () => script.remove();
-    (document.head || document.documentElement).appendChild(script);
+  async init() {
+    // The page hooks go in right away, with the built-in adapters in monitor mode, so the
+    // page's first requests are captured; the active definitions and the enforcement mode
+    // are posted to them once the background has answered
+    this.pageHooksReady = this.injectPageHooks();
+    const builtIn = new ProviderRegistry(PROVIDER_ADAPTERS);
+    this.adapter = builtIn.findByHost(window.location.hostname) || builtIn.generic;
 
     // Listen for messages from injected script
     window.addEventListener('llm_response_intercepted', (event) => {
       this.handleInterceptedResponse(event.detail);
     });
 
-    // Monitor DOM changes for chat interfaces
-    this.observeDOM();
-    
-    // Handle different LLM interfaces
-    this.setupProviderSpecificMonitoring();
+    // Inspect files attached through inputs, drag-drop or upload requests
+    this.monitorFileUploads();
+
+    // Active provider definitions (built-in, or a signed bundle loaded by the background)
+    const adapters = await this.loadProviderDefinitions();
+    const providers = new ProviderRegistry(adapters);
+    this.adapter = this.withValidSelectors(
+      providers.findByHost(window.location.hostname) || providers.generic,
+      providers.generic
+    );
+    this.postToPage({ type: 'provider_definitions', adapters });
+
+    await this.loadEnforcementPolicy();
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'managed' || changes.llmMonitorSettings) this.loadEnforcementPolicy();
+    });
+
+    // Capture prompts typed or pasted into the composer
+    this.monitorUserInput();
+
+    // Capture replies rendered in the chat interface
+    await this.domReady();
+    this.observeResponses();
+  }
+
+  domReady() {
+    if (document.readyState !== 'loading') return Promise.resolve();
+    return new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+  }
+
+  // Injects the adapter registry and the fetch/XMLHttpRequest hooks at page level;
+  // injected scripts only run in insertion order when they are not async. Resolves once
+  // injected.js has run and listens for messages.
+  injectPageHooks() {
+    return new Promise(resolve => {
+      ['provider-adapters.js', 'injected.js'].forEach(file => {
+        const script = document.createElement('script');
+        script.src = chrome.runtime.getURL(file);
+        script.async = false;
+        script.onload = () => {
+          script.remove();
+          if (file === 'injected.js') resolve();
+        };
+        script.onerror = resolve;
+        (document.head || document.documentElement).appendChild(script);
+      });
+    });
+  }
+
+  async postToPage(message) {
+    await this.pageHooksReady;
+    window.postMessage({ source: 'llm-monitor', ...message }, window.location.origin);
+  }
+
+  async loadProviderDefinitions() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_PROVIDER_DEFINITIONS' });
+      if (response && Array.isArray(response.adapters)) return response.adapters;
+    } catch (error) {
+      console.error('Failed to load provider definitions:', error);
+    }
+    return PROVIDER_ADAPTERS;
+  }
+
+  // Selectors that do not parse (a definitions bundle is only type-checked, the service
+  // worker has no DOM) are dropped here, so querySelector never throws on them; a list
+  // left empty falls back to the generic adapter's
+  withValidSelectors(adapter, generic) {
+    const parses = (selector) => {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+      } catch (error) {
+        console.error(`Ignoring invalid ${adapter.id} selector:`, selector);
+        return false;
+      }
+    };
+    const valid = (field) => {
+      const selectors = adapter[field].filter(parses);
+      return selectors.length > 0 ? selectors : generic[field];
+    };
+
+    return {
+      ...adapter,
+      composerSelectors: valid('composerSelectors'),
+      sendButtonSelectors: valid('sendButtonSelectors'),
+      responseSelectors: valid('responseSelectors'),
+      streamingSelector: adapter.streamingSelector && parses(adapter.streamingSelector) ?
+        adapter.streamingSelector : null
+    };
+  }
+
+  // { mode, riskThreshold }; the page hooks only ask for verdicts outside monitor mode
+  async loadEnforcementPolicy() {
+    try {
+      const policy = await chrome.runtime.sendMessage({ type: 'GET_ENFORCEMENT_POLICY' });
+      if (policy) this.enforcement = policy;
+    } catch (error) {
+      console.error('Failed to load enforcement policy:', error);
+    }
+    this.postToPage({ type: 'enforcement_mode', mode: this.enforcement.mode });
+  }
+
+  // Returns the background's verdict; when it cannot be reached the send is blocked in
+  // block and redact modes and allowed otherwise (see uncheckedVerdict)
+  async checkPrompt(data) {
+    try {
+      const verdict = await chrome.runtime.sendMessage({
+        type: 'CHECK_PROMPT',
+        data: {
+          pageUrl: window.location.href,
+          provider: this.adapter.provider,
+          ...data
+        }
+      });
+      return verdict || this.uncheckedVerdict();
+    } catch (error) {
+      console.error('Prompt check failed:', error);
+      return this.uncheckedVerdict();
+    }
+  }
+
+  uncheckedVerdict() {
+    if (this.enforcement.mode !== 'block' && this.enforcement.mode !== 'redact') return { action: 'allow' };
+    return {
+      action: 'block',
+      items: [],
+      note: 'The prompt could not be checked, so it was not sent. Try again in a moment.'
+    };
+  }
+
+  // Resolves to 'allow' or 'block': block verdicts show a notice, warnings wait for the
+  // user to justify or cancel the send, and the decision is recorded by the background
+  async resolveVerdict(verdict) {
+    if (verdict.action === 'block') {
+      this.enforcementUI.showNotice(verdict);
+      return 'block';
+    }
+    if (verdict.action !== 'warn') return 'allow';
+
+    const decision = await this.enforcementUI.askJustification(verdict);
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'RECORD_DECISION',
+        data: { checkId: verdict.checkId, ...decision }
+      });
+    } catch (error) {
+      console.error('Failed to record warning decision:', error);
+    }
+    return decision.decision === 'proceed' ? 'allow' : 'block';
+  }
+
+  // Replaces the values of a redact verdict with placeholders and reports which were used;
+  // returns the redacted text (composer text or request body), or null when a value is
+  // still in it (escaped or spaced differently than it was found), so the send is blocked
+  async applyRedaction(verdict, text) {
+    const { text: redacted, applied } = this.redactor.redact(text, verdict.redactions);
+    const failed = this.redactor.findLeaks(redacted, verdict.redactions).length > 0;
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'RECORD_REDACTION',
+        data: failed ?
+          { checkId: verdict.checkId, failed: true } :
+          { checkId: verdict.checkId, content: redacted, redactions: applied }
+      });
+    } catch (error) {
+      console.error('Failed to record redaction:', error);
+    }
+
+    if (failed) {
+      this.enforcementUI.showNotice({
+        ...verdict,
+        note: 'The sensitive values could not be redacted reliably, so the prompt was blocked instead.'
+      });
+      return null;
+    }
+    if (applied.length > 0) this.enforcementUI.showRedactionNotice(applied);
+    return redacted;
   }
 
   handleInterceptedResponse(data) {
+    // Prompts sent over a socket are logged like composer prompts
+    if (data.direction === 'outgoing') {
+      this.sendPrompt(data.request, 'network_intercept', { transport: data.transport });
+      return;
+    }
+    if (!data.response) return;
+
     chrome.runtime.sendMessage({
       type: 'LOG_RESPONSE',
       data: {
         timestamp: Date.now(),
         url: window.location.href,
-        provider: this.detectProvider(),
+        provider: this.adapter.provider,
         content: data.response,
         requestData: data.request,
+        stream: data.stream || null,
+        transport: data.transport || null,
         method: 'network_intercept'
       }
     });
   }
 
-  observeDOM() {
-    const observer = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        if (mutation.type === 'childList') {
-          mutation.addedNodes.forEach((node) => {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              this.checkForLLMResponse(node);
-            }
-          });
+  // One observer for every provider: replies are found with the adapter's response
+  // selectors and logged once its streaming signal is gone and the text has settled
+  observeResponses() {
+    const selector = this.adapter.responseSelectors.join(', ');
+    let scanTimer = null;
+
+    const scheduleScan = (delay) => {
+      if (!scanTimer) scanTimer = setTimeout(scan, delay);
+    };
+
+    const scan = () => {
+      scanTimer = null;
+      const now = Date.now();
+
+      document.querySelectorAll(selector).forEach(element => {
+        // Nested matches: the innermost element holds the reply text
+        if (element.querySelector(selector)) return;
+
+        // Placeholders from redact mode are shown with their values on this page only
+        this.redactor.restoreElement(element);
+
+        const text = this.extractText(element);
+        const state = this.responseStates.get(element) || { text: '', changed: now, logged: '' };
+        if (text !== state.text) {
+          state.text = text;
+          state.changed = now;
         }
+        this.responseStates.set(element, state);
+
+        if (text === state.logged) return;
+        if (this.isStreaming(element) || now - state.changed < this.adapter.settleTime) {
+          scheduleScan(this.adapter.settleTime);
+          return;
+        }
+
+        state.logged = text;
+        this.extractAndLogResponse(element);
       });
-    });
+    };
 
-    observer.observe(document.body, {
+    new MutationObserver(() => scheduleScan(500)).observe(document.body, {
       childList: true,
-      subtree: true
+      subtree: true,
+      characterData: true
     });
+    scheduleScan(0);
   }
 
-  checkForLLMResponse(element) {
-    // OpenAI ChatGPT (both chat.openai.com and chatgpt.com)
-    const chatGPTSelectors = [
-      '[data-message-author-role="assistant"]',
-      '[data-testid*="conversation-turn"]',
-      '.markdown',
-      '[class*="Message"]',
-      '[class*="response"]'
-    ];
-
-    // Claude selectors  
-    const claudeSelectors = [
-      '[data-is-streaming="false"]',
-      '.font-claude-message',
-      '[class*="Message"][class*="assistant"]',
-      '[data-testid="message-text"]'
-    ];
-
-    // Google (Gemini/Bard/AI Studio) selectors
-    const googleSelectors = [
-      '[data-test-id*="response"]',
-      '.model-response-text',
-      '[jsname*="response"]',
-      '.response-container-content',
-      '[class*="assistant-response"]',
-      // AI Studio specific selectors
-      '[data-testid="model-response"]',
-      '.model-output',
-      '[class*="generated-content"]',
-      '.response-text',
-      // MakerSuite selectors
-      '.prompt-response',
-      '[data-response-id]'
-    ];
-
-    // Microsoft Copilot/Bing selectors
-    const microsoftSelectors = [
-      '.ac-textBlock',
-      '.b_slideexp',
-      '[class*="response-message"]',
-      '.cib-serp-main',
-      '[data-content*="response"]'
-    ];
-
-    // Character.AI selectors
-    const characterSelectors = [
-      '[class*="ChatMessage"]',
-      '[data-testid="message"]',
-      '.msg',
-      '[class*="character-message"]'
-    ];
-
-    // You.com selectors
-    const youcomSelectors = [
-      '.chat-turn',
-      '[data-testid="chat-turn"]',
-      '.youChatAnswer',
-      '[class*="ai-response"]'
-    ];
-
-    // Poe selectors
-    const poeSelectors = [
-      '[class*="Message_botMessageBubble"]',
-      '[class*="ChatMessage"]',
-      '[data-testid="botMessage"]'
-    ];
-
-    // Meta AI selectors
-    const metaSelectors = [
-      '[data-testid="message-container"]',
-      '.x1i10hfl',
-      '[role="article"]'
-    ];
-
-    // Generic fallback selectors for other LLMs
-    const genericSelectors = [
-      '[class*="message"]',
-      '[class*="response"]',
-      '[class*="assistant"]',
-      '[class*="bot"]',
-      '[class*="ai"]',
-      '[data-role="assistant"]',
-      '[data-author="assistant"]'
-    ];
-
-    const allSelectors = [
-      ...chatGPTSelectors, 
-      ...claudeSelectors, 
-      ...googleSelectors,
-      ...microsoftSelectors,
-      ...characterSelectors,
-      ...youcomSelectors,
-      ...poeSelectors,
-      ...metaSelectors,
-      ...genericSelectors
-    ];
-    
-    for (const selector of allSelectors) {
-      const responseElement = element.querySelector ? element.querySelector(selector) : 
-                             element.matches && element.matches(selector) ? element : null;
-      
-      if (responseElement) {
-        this.extractAndLogResponse(responseElement);
-        break;
-      }
-    }
+  isStreaming(element) {
+    const signal = this.adapter.streamingSelector;
+    return Boolean(signal && (element.closest(signal) || element.querySelector(signal)));
   }
 
   extractAndLogResponse(element) {
-    const textContent = this.extractText(element);
+    // Restored values go back to their placeholders before the reply is logged
+    const textContent = this.redactor.conceal(this.extractText(element));
     
     if (textContent && textContent.length > 10) {
       chrome.runtime.sendMessage({
@@ -176,7 +295,7 @@ class LLMContentMonitor {
         data: {
           timestamp: Date.now(),
           url: window.location.href,
-          provider: this.detectProvider(),
+          provider: this.adapter.provider,
           content: textContent,
           method: 'dom_extraction',
           elementInfo: {
@@ -205,244 +324,236 @@ class LLMContentMonitor {
     return text.trim();
   }
 
-  detectProvider() {
-    const hostname = window.location.hostname;
-    
-    if (hostname.includes('openai.com') || hostname === 'chatgpt.com') return 'OpenAI ChatGPT';
-    if (hostname.includes('claude.ai') || hostname.includes('anthropic.com')) return 'Anthropic Claude';
-    if (hostname.includes('bard.google.com')) return 'Google Bard';
-    if (hostname.includes('gemini.google.com') || hostname.includes('ai.google.com')) return 'Google Gemini';
-    if (hostname.includes('aistudio.google.com')) return 'Google AI Studio';
-    if (hostname.includes('makersuite.google.com')) return 'Google MakerSuite';
-    if (hostname.includes('copilot.microsoft.com')) return 'Microsoft Copilot';
-    if (hostname.includes('bing.com')) return 'Microsoft Bing Chat';
-    if (hostname.includes('you.com')) return 'You.com';
-    if (hostname.includes('character.ai')) return 'Character.AI';
-    if (hostname.includes('poe.com')) return 'Poe by Quora';
-    if (hostname.includes('pi.ai')) return 'Inflection Pi';
-    if (hostname.includes('meta.ai') || hostname.includes('llama.meta.com')) return 'Meta AI';
-    if (hostname.includes('mistral.ai')) return 'Mistral AI';
-    if (hostname.includes('perplexity.ai')) return 'Perplexity';
-    if (hostname.includes('writesonic.com')) return 'Writesonic';
-    if (hostname.includes('jasper.ai')) return 'Jasper';
-    if (hostname.includes('copy.ai')) return 'Copy.ai';
-    if (hostname.includes('grammarly.com')) return 'Grammarly AI';
-    if (hostname.includes('notion.so')) return 'Notion AI';
-    if (hostname.includes('huggingface.co')) return 'Hugging Face';
-    
-    return 'Unknown LLM Service';
-  }
+  // Prompt capture: Enter and send-button clicks log the composer text before the page
+  // clears it, and pastes are logged with their size. Listeners are delegated on the
+  // document in the capture phase, so composers re-rendered by the page stay covered.
+  monitorUserInput() {
+    const composerSelector = this.adapter.composerSelectors.join(', ');
+    const sendButtonSelector = this.adapter.sendButtonSelectors.join(', ');
+    let lastComposer = null;
 
-  setupProviderSpecificMonitoring() {
-    const provider = this.detectProvider();
-    
-    switch (true) {
-      case provider.includes('OpenAI'):
-        this.monitorChatGPT();
-        break;
-      case provider.includes('Claude'):
-        this.monitorClaude();
-        break;
-      case provider.includes('Google'):
-        this.monitorGoogle();
-        break;
-      case provider.includes('Microsoft'):
-        this.monitorMicrosoft();
-        break;
-      case provider.includes('Character'):
-        this.monitorCharacterAI();
-        break;
-      case provider.includes('You.com'):
-        this.monitorYouCom();
-        break;
-      case provider.includes('Poe'):
-        this.monitorPoe();
-        break;
-      case provider.includes('Meta'):
-        this.monitorMeta();
-        break;
-      default:
-        this.monitorGeneric();
-        break;
-    }
-  }
+    const findComposer = (target) =>
+      target && target.closest ? target.closest(composerSelector) : null;
 
-  monitorChatGPT() {
-    // Monitor for streaming responses (works for both chat.openai.com and chatgpt.com)
-    const checkForStreaming = () => {
-      const streamingElements = document.querySelectorAll(
-        '[data-message-author-role="assistant"]:not([data-logged]), [data-testid*="conversation-turn"]:not([data-logged])'
-      );
-      streamingElements.forEach(element => {
-        element.setAttribute('data-logged', 'true');
-        
-        // Wait for streaming to complete
-        setTimeout(() => {
-          this.extractAndLogResponse(element);
-        }, 2000);
-      });
-    };
+    document.addEventListener('focusin', (e) => {
+      const composer = findComposer(e.target);
+      if (composer) lastComposer = composer;
+    }, true);
 
-    setInterval(checkForStreaming, 1000);
-  }
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter' || e.shiftKey || e.isComposing) return;
 
-  monitorClaude() {
-    // Monitor for Claude-specific response containers
-    const checkForClaude = () => {
-      const responseElements = document.querySelectorAll('[data-is-streaming="false"]:not([data-logged])');
-      responseElements.forEach(element => {
-        element.setAttribute('data-logged', 'true');
-        this.extractAndLogResponse(element);
-      });
-    };
+      const composer = findComposer(e.target);
+      if (!composer || this.holdSend(e, composer, 'enter')) return;
+      this.capturePrompt(composer, 'enter');
+    }, true);
 
-    setInterval(checkForClaude, 1000);
-  }
+    document.addEventListener('click', (e) => {
+      if (!e.target.closest || !e.target.closest(sendButtonSelector)) return;
 
-  monitorGoogle() {
-    // Monitor for Google's response format (Bard, Gemini, AI Studio, MakerSuite)
-    const checkForGoogle = () => {
-      const responseElements = document.querySelectorAll(`
-        [data-test-id*="response"]:not([data-logged]), 
-        .model-response-text:not([data-logged]),
-        [data-testid="model-response"]:not([data-logged]),
-        .model-output:not([data-logged]),
-        .response-text:not([data-logged]),
-        .prompt-response:not([data-logged])
-      `);
-      responseElements.forEach(element => {
-        element.setAttribute('data-logged', 'true');
-        this.extractAndLogResponse(element);
-      });
-    };
+      const composer = (lastComposer && lastComposer.isConnected) ? lastComposer :
+        document.querySelector(composerSelector);
+      if (!composer || this.holdSend(e, composer, 'send_button')) return;
+      this.capturePrompt(composer, 'send_button');
+    }, true);
 
-    setInterval(checkForGoogle, 1000);
-  }
+    document.addEventListener('paste', (e) => {
+      if (!findComposer(e.target) || !e.clipboardData) return;
 
-  monitorMicrosoft() {
-    // Monitor Microsoft Copilot/Bing Chat responses
-    const checkForMicrosoft = () => {
-      const responseElements = document.querySelectorAll('.ac-textBlock:not([data-logged]), .cib-serp-main:not([data-logged])');
-      responseElements.forEach(element => {
-        element.setAttribute('data-logged', 'true');
-        this.extractAndLogResponse(element);
-      });
-    };
+      const pasted = e.clipboardData.getData('text/plain');
+      if (pasted && pasted.trim().length > 0) {
+        this.sendPrompt(pasted, 'paste', { pasteSize: pasted.length });
+      }
+    }, true);
+  }
 
-    setInterval(checkForMicrosoft, 1000);
+  // Outside monitor mode a send is stopped until the background has checked the composer
+  // text; returns true when the event was held. Allowed prompts are sent again by
+  // replaying the Enter key or the button click (after the user justifies a warning, or
+  // with the composer text redacted); blocked or cancelled ones stay in the composer.
+  holdSend(event, composer, trigger) {
+    if (this.releasing || this.enforcement.mode === 'monitor') return false;
+
+    const content = this.getComposerText(composer);
+    if (!content) return false;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    const target = event.target.closest(this.adapter.sendButtonSelectors.join(', ')) || composer;
+
+    this.checkPrompt({ source: 'composer', content, trigger }).then(async verdict => {
+      if (verdict.action === 'redact') {
+        const redacted = await this.applyRedaction(verdict, content);
+        if (redacted === null) return false;
+        this.setComposerText(composer, redacted);
+        return true;
+      }
+      return await this.resolveVerdict(verdict) !== 'block';
+    }).catch(error => {
+      // Same outcome as an unreachable background: held in block and redact modes
+      console.error('Failed to enforce the held send:', error);
+      const verdict = this.uncheckedVerdict();
+      if (verdict.action === 'block') this.enforcementUI.showNotice(verdict);
+      return verdict.action === 'allow';
+    }).then(send => {
+      if (!send) return;
+      this.capturePrompt(composer, trigger);
+      this.releaseSend(target, trigger);
+    });
+    return true;
   }
 
-  monitorCharacterAI() {
-    // Monitor Character.AI responses
-    const checkForCharacter = () => {
-      const responseElements = document.querySelectorAll('[class*="ChatMessage"]:not([data-logged]), [data-testid="message"]:not([data-logged])');
-      responseElements.forEach(element => {
-        element.setAttribute('data-logged', 'true');
-        this.extractAndLogResponse(element);
-      });
-    };
+  // Replaces the composer's text the way typing would, so the page's own state follows:
+  // the native value setter plus an input event for textareas (React tracks the setter),
+  // select-all and insertText for contenteditable editors, and for fields whose prototype
+  // has no value setter (custom elements)
+  setComposerText(composer, text) {
+    if (composer.value !== undefined) {
+      const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(composer), 'value');
+      if (descriptor && descriptor.set) {
+        descriptor.set.call(composer, text);
+        composer.dispatchEvent(new Event('input', { bubbles: true }));
+        return;
+      }
+    }
 
-    setInterval(checkForCharacter, 1000);
+    composer.focus();
+    if (typeof composer.select === 'function') {
+      composer.select();
+    } else {
+      document.getSelection().selectAllChildren(composer);
+    }
+    document.execCommand('insertText', false, text);
   }
 
-  monitorYouCom() {
-    // Monitor You.com responses
-    const checkForYou = () => {
-      const responseElements = document.querySelectorAll('.youChatAnswer:not([data-logged]), [data-testid="chat-turn"]:not([data-logged])');
-      responseElements.forEach(element => {
-        element.setAttribute('data-logged', 'true');
-        this.extractAndLogResponse(element);
-      });
-    };
+  releaseSend(target, trigger) {
+    this.releasing = true;
+    try {
+      if (trigger === 'send_button') {
+        target.click();
+      } else {
+        target.focus();
+        target.dispatchEvent(new KeyboardEvent('keydown', {
+          key: 'Enter',
+          code: 'Enter',
+          keyCode: 13,
+          which: 13,
+          bubbles: true,
+          cancelable: true
+        }));
+      }
+    } finally {
+      this.releasing = false;
+    }
+  }
 
-    setInterval(checkForYou, 1000);
+  getComposerText(composer) {
+    // Textareas and inputs have a value; ProseMirror/contenteditable composers do not
+    const text = composer.value !== undefined ? composer.value : composer.innerText;
+    return (text || '').trim();
   }
 
-  monitorPoe() {
-    // Monitor Poe by Quora responses
-    const checkForPoe = () => {
-      const responseElements = document.querySelectorAll('[class*="Message_botMessageBubble"]:not([data-logged]), [data-testid="botMessage"]:not([data-logged])');
-      responseElements.forEach(element => {
-        element.setAttribute('data-logged', 'true');
-        this.extractAndLogResponse(element);
-      });
-    };
+  capturePrompt(composer, trigger) {
+    const content = this.getComposerText(composer);
+    if (!content) return;
+
+    // Enter in some composers also clicks the send button; log the prompt once
+    if (this.lastPrompt && this.lastPrompt.content === content && Date.now() - this.lastPrompt.time < 1000) {
+      return;
+    }
+    this.lastPrompt = { content, time: Date.now() };
 
-    setInterval(checkForPoe, 1000);
+    this.sendPrompt(content, 'input_monitoring', { trigger });
   }
 
-  monitorMeta() {
-    // Monitor Meta AI responses
-    const checkForMeta = () => {
-      const responseElements = document.querySelectorAll('[data-testid="message-container"]:not([data-logged]), [role="article"]:not([data-logged])');
-      responseElements.forEach(element => {
-        element.setAttribute('data-logged', 'true');
-        this.extractAndLogResponse(element);
-      });
-    };
+  // Attachments are seen when picked (file input), dropped, and again when the page
+  // uploads them (injected.js posts the request's files); the first sighting is logged
+  monitorFileUploads() {
+    document.addEventListener('change', (e) => {
+      if (e.target.matches && e.target.matches('input[type="file"]') && e.target.files.length > 0) {
+        this.inspectFiles(e.target.files, 'file_input');
+      }
+    }, true);
 
-    setInterval(checkForMeta, 1000);
-  }
+    document.addEventListener('drop', (e) => {
+      if (e.dataTransfer && e.dataTransfer.files.length > 0) {
+        this.inspectFiles(e.dataTransfer.files, 'drag_drop');
+      }
+    }, true);
 
-  monitorGeneric() {
-    // Generic monitoring for unknown LLM interfaces
-    const checkForGeneric = () => {
-      const responseElements = document.querySelectorAll(
-        '[class*="message"]:not([data-logged]), [class*="response"]:not([data-logged]), [class*="assistant"]:not([data-logged]), [class*="bot"]:not([data-logged])'
-      );
-      responseElements.forEach(element => {
-        element.setAttribute('data-logged', 'true');
-        this.extractAndLogResponse(element);
-      });
-    };
+    window.addEventListener('message', (e) => {
+      if (e.source !== window || !e.data || e.data.source !== 'llm-monitor') return;
+      if (e.data.type === 'file_upload') {
+        this.inspectFiles(e.data.files, 'network_upload', e.data.url);
+      }
+      if (e.data.type === 'enforcement_check') {
+        this.answerEnforcementCheck(e.data);
+      }
+    });
+  }
 
-    setInterval(checkForGeneric, 1000);
+  // Request bodies from the page's fetch/XMLHttpRequest hooks, checked before they are
+  // sent. The hook is told 'pending' at once so it keeps waiting for the verdict (however
+  // long the analysis or a warning takes), and a 'redact' answer carries the body to send.
+  async answerEnforcementCheck({ id, url, body }) {
+    const answer = (action, redactedBody = null) => window.postMessage({
+      source: 'llm-monitor',
+      type: 'enforcement_verdict',
+      id,
+      action,
+      body: redactedBody
+    }, window.location.origin);
+
+    answer('pending');
+    const verdict = await this.checkPrompt({ source: 'network', url, body });
+    if (verdict.action === 'redact') {
+      const redacted = await this.applyRedaction(verdict, body);
+      if (redacted === null) answer('block');
+      else answer('redact', redacted);
+      return;
+    }
+    answer(await this.resolveVerdict(verdict));
   }
 
-  // Monitor user input as well
-  monitorUserInput() {
-    const inputSelectors = [
-      'textarea[placeholder*="message"]',
-      'div[contenteditable="true"]',
-      'input[type="text"]'
-    ];
-
-    inputSelectors.forEach(selector => {
-      const inputs = document.querySelectorAll(selector);
-      inputs.forEach(input => {
-        if (!input.hasAttribute('data-monitored')) {
-          input.setAttribute('data-monitored', 'true');
-          
-          input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey || !e.shiftKey)) {
-              setTimeout(() => {
-                const content = input.value || input.textContent;
-                if (content && content.trim().length > 0) {
-                  chrome.runtime.sendMessage({
-                    type: 'LOG_REQUEST', 
-                    data: {
-                      timestamp: Date.now(),
-                      url: window.location.href,
-                      provider: this.detectProvider(),
-                      content: content,
-                      method: 'input_monitoring'
-                    }
-                  });
-                }
-              }, 100);
-            }
-          });
+  async inspectFiles(files, method, uploadUrl = null) {
+    for (const file of Array.from(files)) {
+      const result = await this.fileInspector.inspect(file);
+
+      const key = result.sha256 || `${result.name}:${result.size}`;
+      if (Date.now() - (this.inspectedFiles.get(key) || 0) < 60000) continue;
+      this.inspectedFiles.set(key, Date.now());
+
+      const { text, ...metadata } = result;
+      chrome.runtime.sendMessage({
+        type: 'LOG_UPLOAD',
+        data: {
+          timestamp: Date.now(),
+          url: window.location.href,
+          provider: this.adapter.provider,
+          file: metadata,
+          content: text,
+          uploadUrl,
+          method
         }
       });
+    }
+  }
+
+  sendPrompt(content, method, extra = {}) {
+    chrome.runtime.sendMessage({
+      type: 'LOG_REQUEST',
+      data: {
+        timestamp: Date.now(),
+        url: window.location.href,
+        provider: this.adapter.provider,
+        content,
+        method,
+        ...extra
+      }
     });
   }
 }
 
-// Initialize monitoring when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    new LLMContentMonitor();
-  });
-} else {
-  new LLMContentMonitor();
-}
\ No newline at end of file
+// Initialize monitoring at document_start, so the page hooks are in before the page's
+// own scripts run; the reply observer waits for the DOM
+new LLMContentMonitor();
\ No newline at end of file
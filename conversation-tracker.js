@@ -0,0 +1,252 @@
+// conversation-tracker.js - Groups log entries into provider conversations
+// A conversation is keyed by the provider's conversation ID (from the request payload or
+// URLs such as /c/<id> and /chat/<uuid>); entries without one join their tab's current
+// conversation, or a tab session that ends after sessionTimeout of inactivity.
+
+class ConversationTracker {
+  constructor() {
+    this.conversations = {};
+    this.tabConversations = new Map(); // tabId -> conversation key, kept in session storage
+    this.pendingStatus = new Map();    // webRequest requestId -> status code
+    this.maxConversations = 200;
+    this.maxTurns = 500;
+    this.sessionTimeout = 30 * 60 * 1000;
+    this.saving = Promise.resolve();   // The write in progress; the next one waits for it
+    this.saveQueued = false;
+
+    // Conversation IDs in page and API URL paths
+    this.urlPatterns = [
+      /\/c\/([\w-]{8,})/,                        // ChatGPT
+      /\/chat_conversations\/([\w-]{8,})/,       // Claude API
+      /\/chats?\/([\w-]{8,})/,                   // Claude, Copilot, Mistral and others
+      /\/app\/([0-9a-f]{8,})/,                   // Gemini
+      /\/prompts\/([\w-]{8,})/,                  // AI Studio
+      /\/search\/([\w-]{8,})/,                   // Perplexity
+      /[?&](?:conversationId|conversation_id|chat)=([\w-]{8,})/
+    ];
+  }
+
+  // Never throws: the background waits on this load before logging anything
+  async load() {
+    try {
+      const { conversations } = await chrome.storage.local.get(['conversations']);
+      if (conversations && typeof conversations === 'object' && !Array.isArray(conversations)) {
+        this.conversations = conversations;
+      }
+    } catch (error) {
+      console.error('Failed to load conversations:', error);
+    }
+
+    // Tabs keep their conversation across service worker restarts, not browser restarts
+    try {
+      const { tabConversations } = await chrome.storage.session.get(['tabConversations']);
+      for (const [tabId, key] of Object.entries(tabConversations || {})) {
+        this.tabConversations.set(Number(tabId), key);
+      }
+    } catch (error) {
+      console.error('Failed to load tab conversations:', error);
+    }
+  }
+
+  getConversationId(entry) {
+    if (entry.payload && entry.payload.conversationId) return entry.payload.conversationId;
+
+    for (const url of [entry.url, entry.uploadUrl]) {
+      if (!url) continue;
+      for (const pattern of this.urlPatterns) {
+        const match = url.match(pattern);
+        if (match) return match[1];
+      }
+    }
+    return null;
+  }
+
+  // Adds the entry as the next turn and returns { conversationKey, turn, inReplyTo } for
+  // the log entry; responses point at the request turn that came before them
+  record(entry, logKey) {
+    const conversationId = this.getConversationId(entry);
+    const key = this.resolveKey(entry, conversationId);
+
+    let conversation = this.conversations[key];
+    if (!conversation) {
+      conversation = this.conversations[key] = {
+        key,
+        conversationId,
+        provider: entry.provider,
+        tabId: entry.tabId,
+        url: entry.url,
+        firstActivity: entry.timestamp,
+        lastActivity: entry.timestamp,
+        turns: [],
+        cumulativeRisk: 0,
+        maxRisk: 0,
+        sensitiveTypes: []
+      };
+    }
+
+    const isResponse = entry.type === 'response';
+    const lastRequest = isResponse ?
+      [...conversation.turns].reverse().find(turn => turn.type !== 'response') : null;
+
+    const turn = {
+      sequence: conversation.turns.length ? conversation.turns[conversation.turns.length - 1].sequence + 1 : 1,
+      type: ['response', 'upload', 'blocked'].includes(entry.type) ? entry.type : 'request',
+      logKey,
+      requestId: entry.requestId,
+      timestamp: entry.timestamp,
+      riskScore: entry.riskScore || 0,
+      statusCode: this.pendingStatus.get(entry.requestId) || null,
+      inReplyTo: lastRequest ? lastRequest.sequence : null
+    };
+    this.pendingStatus.delete(entry.requestId);
+
+    conversation.turns.push(turn);
+    if (conversation.turns.length > this.maxTurns) {
+      conversation.turns.splice(0, conversation.turns.length - this.maxTurns);
+    }
+
+    conversation.lastActivity = Math.max(conversation.lastActivity, entry.timestamp);
+    conversation.firstActivity = Math.min(conversation.firstActivity, entry.timestamp);
+    conversation.cumulativeRisk += turn.riskScore;
+    conversation.maxRisk = Math.max(conversation.maxRisk, turn.riskScore);
+    conversation.sensitiveTypes = Array.from(new Set([
+      ...conversation.sensitiveTypes,
+      ...((entry.analysis && entry.analysis.types) || [])
+    ]));
+    if (conversationId) conversation.conversationId = conversationId;
+
+    if (entry.tabId !== undefined && entry.tabId >= 0) {
+      this.tabConversations.set(entry.tabId, key);
+    }
+
+    this.prune();
+    this.save();
+
+    return { conversationKey: key, turn: turn.sequence, inReplyTo: turn.inReplyTo };
+  }
+
+  resolveKey(entry, conversationId) {
+    const current = this.conversations[this.tabConversations.get(entry.tabId)];
+    const isRecent = current && entry.timestamp - current.lastActivity < this.sessionTimeout;
+
+    if (conversationId) {
+      const key = `${entry.provider}:${conversationId}`;
+
+      // A new chat only gets its ID after the first turn; that tab session becomes it
+      if (!this.conversations[key] && isRecent && !current.conversationId) {
+        delete this.conversations[current.key];
+        current.previousKeys = [...(current.previousKeys || []), current.key];
+        current.key = key;
+        this.conversations[key] = current;
+      }
+      return key;
+    }
+
+    return isRecent ? current.key : `${entry.provider}:tab-${entry.tabId}-${entry.timestamp}`;
+  }
+
+  // A merged duplicate (event-deduplicator.js) can change a turn's score and types
+  updateTurn(key, logKey, entry) {
+    const conversation = this.findConversation(key);
+    const turn = conversation && conversation.turns.find(t => t.logKey === logKey);
+    if (!turn) return;
+
+    const riskScore = entry.riskScore || 0;
+    conversation.cumulativeRisk += riskScore - turn.riskScore;
+    turn.riskScore = riskScore;
+    conversation.maxRisk = Math.max(...conversation.turns.map(t => t.riskScore));
+    conversation.sensitiveTypes = Array.from(new Set([
+      ...conversation.sensitiveTypes,
+      ...((entry.analysis && entry.analysis.types) || [])
+    ]));
+    this.save();
+  }
+
+  // Status codes arrive from webRequest separately from the logged request
+  recordStatus(requestId, statusCode) {
+    for (const conversation of Object.values(this.conversations)) {
+      const turn = conversation.turns.find(t => t.requestId === requestId);
+      if (turn) {
+        turn.statusCode = statusCode;
+        this.save();
+        return;
+      }
+    }
+
+    this.pendingStatus.set(requestId, statusCode);
+    if (this.pendingStatus.size > 100) {
+      this.pendingStatus.delete(this.pendingStatus.keys().next().value);
+    }
+  }
+
+  prune() {
+    const keys = Object.keys(this.conversations);
+    if (keys.length <= this.maxConversations) return;
+
+    keys
+      .sort((a, b) => this.conversations[a].lastActivity - this.conversations[b].lastActivity)
+      .slice(0, keys.length - this.maxConversations)
+      .forEach(key => delete this.conversations[key]);
+  }
+
+  // Writes are chained so they never overlap, and changes made while one is in progress are
+  // written together by the next; never throws, so callers need not wait for it
+  save() {
+    if (this.saveQueued) return this.saving;
+    this.saveQueued = true;
+
+    this.saving = this.saving.then(async () => {
+      this.saveQueued = false;
+      try {
+        await chrome.storage.local.set({ conversations: this.conversations });
+        await chrome.storage.session.set({
+          tabConversations: Object.fromEntries(this.tabConversations)
+        });
+      } catch (error) {
+        console.error('Failed to save conversations:', error);
+      }
+    });
+    return this.saving;
+  }
+
+  // Entries logged before a tab session was re-keyed still carry its old key
+  findConversation(key) {
+    return this.conversations[key] || Object.values(this.conversations)
+      .find(c => (c.previousKeys || []).includes(key));
+  }
+
+  // Conversation summaries, most recent first
+  list(filters = {}) {
+    let conversations = Object.values(this.conversations);
+
+    if (filters.provider) {
+      conversations = conversations.filter(c => c.provider === filters.provider);
+    }
+    if (filters.minRiskScore) {
+      conversations = conversations.filter(c => c.maxRisk >= filters.minRiskScore);
+    }
+    if (filters.timeRange) {
+      const cutoff = Date.now() - (filters.timeRange * 24 * 60 * 60 * 1000);
+      conversations = conversations.filter(c => c.lastActivity >= cutoff);
+    }
+
+    return conversations
+      .sort((a, b) => b.lastActivity - a.lastActivity)
+      .slice(0, filters.limit || 50)
+      .map(({ turns, ...summary }) => ({ ...summary, turnCount: turns.length }));
+  }
+
+  // The conversation with each turn's log entry (turns whose entry was pruned are dropped)
+  async getThread(key) {
+    const conversation = this.findConversation(key);
+    if (!conversation) return null;
+
+    const entries = await chrome.storage.local.get(conversation.turns.map(turn => turn.logKey));
+    return {
+      ...conversation,
+      turns: conversation.turns
+        .filter(turn => entries[turn.logKey])
+        .map(turn => ({ ...turn, entry: entries[turn.logKey] }))
+    };
+  }
+}
@@ -0,0 +1,263 @@
+// detection-bulk.js - Structured bulk data detection (pasted tables, record dumps, logs)
+// Recognizes delimited tables by consistent column counts, JSON arrays of records and
+// log dumps, estimates their size and flags columns whose values look like PII.
+
+class BulkDataDetector {
+  constructor() {
+    this.minRows = 3;
+    this.minLogLines = 5;
+    this.maxLines = 5000;       // Structure is judged on a prefix of very large pastes
+    this.sampleSize = 50;       // Values per column checked for PII
+    this.piiColumnRatio = 0.6;  // Share of sampled values that must look like PII
+
+    this.delimiters = [
+      { name: 'tsv', char: '\t' },
+      { name: 'csv', char: ',' },
+      { name: 'pipe', char: '|' },
+      { name: 'semicolon', char: ';' }
+    ];
+
+    this.valueClassifiers = {
+      email: value => /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/.test(value),
+      phone: value => /^\+?[\d\s().-]{10,18}$/.test(value) && /^\d{10,15}$/.test(value.replace(/\D/g, '')),
+      ssn: value => /^\d{3}-\d{2}-\d{4}$/.test(value),
+      creditCard: value => /^[\d\s-]{13,23}$/.test(value) && DetectionValidators.creditCard(value) === 'pass',
+      ipAddress: value => /^(?:\d{1,3}\.){3}\d{1,3}$/.test(value) && DetectionValidators.ipv4(value) === 'pass',
+      iban: value => /^[A-Z]{2}\d{2}[A-Z0-9 ]{11,30}$/.test(value) && DetectionValidators.iban(value) === 'pass'
+    };
+
+    this.headerHints = [
+      { type: 'email', pattern: /e-?mail/i },
+      { type: 'phone', pattern: /phone|mobile|\btel\b|\bcell\b/i },
+      { type: 'ssn', pattern: /\bssn\b|social.?security|national.?id|\bnin[o]?\b|\bsin\b/i },
+      { type: 'creditCard', pattern: /card.?(?:number|no)|\bpan\b|\bcc\b/i },
+      { type: 'dateOfBirth', pattern: /\bdob\b|birth/i },
+      { type: 'name', pattern: /^(?:full.?|first.?|last.?|sur)?name$/i },
+      { type: 'address', pattern: /address|street|zip|postcode|postal/i },
+      { type: 'ipAddress', pattern: /\bip\b|ip.?addr/i }
+    ];
+
+    this.logLinePattern = new RegExp([
+      '^\\[?\\d{4}-\\d{2}-\\d{2}[T ]\\d{2}:\\d{2}',       // ISO timestamps
+      '^[A-Z][a-z]{2} +\\d{1,2} \\d{2}:\\d{2}:\\d{2}',    // syslog
+      '^\\S+ \\S+ \\S+ \\[\\d{2}/\\w{3}/\\d{4}',           // common/combined access log
+      '^\\s*(?:TRACE|DEBUG|INFO|WARN(?:ING)?|ERROR|FATAL)\\b'
+    ].join('|'));
+  }
+
+  // Returns null, or { kind, format, rows, columns, header, piiColumns, summary }
+  detect(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    const result = this.detectJsonRecords(text) || this.detectTable(text) || this.detectLogDump(text);
+    if (result) {
+      result.summary = this.describe(result);
+    }
+    return result;
+  }
+
+  detectTable(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+    if (lines.length < this.minRows + 1) return null;
+
+    const sample = lines.slice(0, this.maxLines)
+      .filter(line => !/^\s*\|?\s*:?-{3,}/.test(line)); // Markdown separator rows
+
+    let best = null;
+    for (const delimiter of this.delimiters) {
+      const rows = sample.map(line => this.splitRow(line, delimiter.char));
+      const counts = {};
+      rows.forEach(cells => { counts[cells.length] = (counts[cells.length] || 0) + 1; });
+
+      const [columns, matching] = Object.entries(counts)
+        .map(([count, total]) => [Number(count), total])
+        .sort((a, b) => b[1] - a[1])[0];
+
+      const consistency = matching / rows.length;
+      if (columns < 2 || matching < this.minRows || consistency < 0.8) continue;
+
+      if (!best || consistency > best.consistency ||
+          (consistency === best.consistency && columns > best.columns)) {
+        best = { delimiter, columns, consistency, rows: rows.filter(cells => cells.length === columns) };
+      }
+    }
+
+    if (!best) return null;
+
+    const hasHeader = this.looksLikeHeader(best.rows[0], best.rows[1]);
+    const header = hasHeader ? best.rows[0] : null;
+    const dataRows = hasHeader ? best.rows.slice(1) : best.rows;
+    const format = /^\s*\|/.test(sample[0]) ? 'markdown' : best.delimiter.name;
+
+    // Prose with a comma per line splits evenly too; ask for some other sign of a table
+    const structured = format === 'tsv' || format === 'markdown' || hasHeader ||
+      this.hasTypedColumn(dataRows, best.columns);
+    if (!structured || dataRows.length < this.minRows) return null;
+
+    const scale = lines.length / sample.length; // Extrapolate past the sampled prefix
+
+    return {
+      kind: 'table',
+      format,
+      rows: Math.round(dataRows.length * scale),
+      columns: best.columns,
+      header,
+      piiColumns: this.findPiiColumns(header, dataRows)
+    };
+  }
+
+  // Minimal CSV-aware split: delimiters inside double quotes do not split
+  splitRow(line, delimiter) {
+    let trimmed = line.trim();
+    if (delimiter === '|') {
+      trimmed = trimmed.replace(/^\||\|$/g, '');
+    }
+
+    const cells = [];
+    let current = '';
+    let quoted = false;
+    for (const char of trimmed) {
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (char === delimiter && !quoted) {
+        cells.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    cells.push(current.trim());
+    return cells;
+  }
+
+  looksLikeHeader(first, second) {
+    if (!first || !second) return false;
+
+    const isLabel = cell => cell.length > 0 && !/^[\d\s.,:$%+-]+$/.test(cell) &&
+      !Object.values(this.valueClassifiers).some(classify => classify(cell));
+    const distinct = new Set(first.map(cell => cell.toLowerCase())).size === first.length;
+
+    return distinct && first.every(isLabel) && !second.every(isLabel);
+  }
+
+  // A column of numbers, dates or PII-shaped values rather than free text
+  hasTypedColumn(rows, columns) {
+    const sample = rows.slice(0, this.sampleSize);
+
+    for (let i = 0; i < columns; i++) {
+      const typed = sample.filter(cells => {
+        const value = cells[i] || '';
+        return /^[\d\s.,:/$%+-]+$/.test(value) ||
+          Object.values(this.valueClassifiers).some(classify => classify(value));
+      }).length;
+      if (typed / sample.length >= 0.8) return true;
+    }
+
+    return false;
+  }
+
+  detectJsonRecords(text) {
+    const trimmed = text.trim();
+    const start = trimmed.indexOf('[');
+    const end = trimmed.lastIndexOf(']');
+    if (start === -1 || end <= start) return null;
+
+    let records;
+    try {
+      records = JSON.parse(trimmed.slice(start, end + 1));
+    } catch (error) {
+      return null;
+    }
+
+    const isRecord = item => item && typeof item === 'object' && !Array.isArray(item);
+    if (!Array.isArray(records) || records.length < this.minRows || !records.every(isRecord)) {
+      return null;
+    }
+
+    const header = Array.from(new Set(records.flatMap(record => Object.keys(record))));
+    const rows = records.map(record => header.map(key =>
+      record[key] === undefined || record[key] === null ? '' : String(record[key])
+    ));
+
+    return {
+      kind: 'json',
+      format: 'json',
+      rows: records.length,
+      columns: header.length,
+      header,
+      piiColumns: this.findPiiColumns(header, rows)
+    };
+  }
+
+  detectLogDump(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+    if (lines.length < this.minLogLines) return null;
+
+    const sample = lines.slice(0, this.maxLines);
+    const logLines = sample.filter(line => this.logLinePattern.test(line));
+    if (logLines.length / sample.length < 0.6) return null;
+
+    // Logs have no columns; report which kinds of PII appear across lines instead
+    const piiColumns = [];
+    for (const type of ['email', 'ipAddress']) {
+      const pattern = type === 'email' ?
+        /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/ :
+        /\b(?:\d{1,3}\.){3}\d{1,3}\b/;
+      if (logLines.some(line => pattern.test(line))) {
+        piiColumns.push({ column: type, type });
+      }
+    }
+
+    return {
+      kind: 'log',
+      format: 'log',
+      rows: lines.length,
+      columns: 0,
+      header: null,
+      piiColumns
+    };
+  }
+
+  findPiiColumns(header, rows) {
+    const columnCount = header ? header.length : (rows[0] || []).length;
+    const piiColumns = [];
+
+    for (let i = 0; i < columnCount; i++) {
+      const name = header ? header[i] : `column ${i + 1}`;
+      const hint = header && this.headerHints.find(h => h.pattern.test(name));
+      const values = rows.slice(0, this.sampleSize)
+        .map(cells => (cells[i] || '').trim())
+        .filter(value => value.length > 0);
+
+      const valueType = Object.keys(this.valueClassifiers).find(type => {
+        const hits = values.filter(value => this.valueClassifiers[type](value)).length;
+        return values.length > 0 && hits / values.length >= this.piiColumnRatio;
+      });
+
+      const type = valueType || (hint && hint.type);
+      if (type) {
+        piiColumns.push({ column: name, type });
+      }
+    }
+
+    return piiColumns;
+  }
+
+  describe(result) {
+    const kind = { table: 'pasted table', json: 'JSON records', log: 'log dump' }[result.kind];
+    const rows = `${result.rows.toLocaleString('en-US')} ${result.kind === 'log' ? 'lines' : 'rows'}`;
+    const parts = [kind, rows];
+
+    if (result.columns > 0) {
+      parts.push(`${result.columns} columns`);
+    }
+    if (result.piiColumns.length > 0) {
+      const names = result.piiColumns.map(column => column.column).join('/');
+      parts.push(result.kind === 'log' ?
+        `contains ${names}` :
+        `${result.piiColumns.length === 1 ? 'column' : 'columns'} ${names} ${result.piiColumns.length === 1 ? 'looks' : 'look'} like PII`);
+    }
+
+    return parts.join(', ');
+  }
+}
@@ -0,0 +1,64 @@
+// detection-credentials.js - Vendor credential signatures
+// Merged into the DetectionEngine rules under the 'secrets' category; each key is the
+// type recorded on a hit and each label names the secret in logs and the popup
+
+const CREDENTIAL_SIGNATURES = {
+  awsAccessKeyId: {
+    label: 'AWS access key ID',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g
+  },
+  awsSecretAccessKey: {
+    label: 'AWS secret access key',
+    pattern: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?[A-Za-z0-9/+=]{40}\b/gi
+  },
+  githubToken: {
+    label: 'GitHub token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\b/g
+  },
+  slackToken: {
+    label: 'Slack token',
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g
+  },
+  slackWebhook: {
+    label: 'Slack webhook URL',
+    pattern: /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+/g
+  },
+  stripeSecretKey: {
+    label: 'Stripe secret key',
+    pattern: /\b[sr]k_(?:live|test)_[A-Za-z0-9]{24,}\b/g
+  },
+  openaiApiKey: {
+    label: 'OpenAI API key',
+    pattern: /\bsk-(?:(?:proj|svcacct|admin)-[A-Za-z0-9_-]{40,}|[A-Za-z0-9]{20}T3BlbkFJ[A-Za-z0-9]{20})/g
+  },
+  anthropicApiKey: {
+    label: 'Anthropic API key',
+    pattern: /\bsk-ant-(?:api|admin)\d{2}-[A-Za-z0-9_-]{80,}/g
+  },
+  googleApiKey: {
+    label: 'Google API key',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g
+  },
+  gcpServiceAccount: {
+    label: 'GCP service account key',
+    pattern: /"type"\s*:\s*"service_account"/g
+  },
+  azureStorageKey: {
+    label: 'Azure storage account key',
+    pattern: /AccountKey=[A-Za-z0-9+/]{86}==/g
+  },
+  npmToken: {
+    label: 'npm access token',
+    pattern: /\bnpm_[A-Za-z0-9]{36}\b/g
+  },
+  jwt: {
+    label: 'JSON Web Token',
+    pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g
+  },
+  // Only the armor header is matched, so the key body is not copied into analysis.matches
+  // (the other signatures record the matched secret itself, which log entries keep)
+  privateKey: {
+    label: 'PEM private key',
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/g
+  }
+};
@@ -0,0 +1,334 @@
+// detection-engine.js - Shared sensitive data detection rules and risk scoring
+// Loaded by the service worker (importScripts), the settings page and the content script
+
+class DetectionEngine {
+  constructor() {
+    // Each rule belongs to a settings category (detectionCategories) so it can be toggled.
+    // Rules with a validator (see detection-validators.js) only keep matches that pass it.
+    this.rules = {
+      ssn: {
+        label: 'Social Security Numbers',
+        category: 'pii',
+        pattern: /\b\d{3}[-.]?\d{2}[-.]?\d{4}\b/g,
+        validator: 'ssn'
+      },
+      email: {
+        label: 'Email Addresses',
+        category: 'pii',
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g
+      },
+      phone: {
+        label: 'Phone Numbers',
+        category: 'pii',
+        pattern: /\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/g,
+        validator: 'nanpPhone'
+      },
+      creditCard: {
+        label: 'Credit Card Numbers',
+        category: 'financial',
+        pattern: /\b(?:\d{4}[-\s]?\d{4}[-\s]?\d{4}[-\s]?\d{4}|\d{4}[-\s]?\d{6}[-\s]?\d{5})\b/g,
+        validator: 'creditCard'
+      },
+      ipAddress: {
+        label: 'IP Addresses',
+        category: 'pii',
+        pattern: /\b(?:[0-9]{1,3}\.){3}[0-9]{1,3}\b/g,
+        validator: 'ipv4'
+      },
+      confidential: {
+        label: 'Confidential Markers',
+        category: 'confidential',
+        pattern: /(confidential|proprietary|internal\s+only|classified)/gi
+      },
+      apiKeys: {
+        label: 'API Keys',
+        category: 'secrets',
+        pattern: /(api[_-]?key|secret[_-]?key|access[_-]?token)[\s=:]["']?([a-zA-Z0-9_-]{20,})/gi
+      },
+      sourceCode: {
+        label: 'Source Code',
+        category: 'code',
+        pattern: /(function\s+\w+|def\s+\w+|class\s+\w+|import\s+\w+)/g
+      },
+      sqlQueries: {
+        label: 'SQL Queries',
+        category: 'code',
+        pattern: /(SELECT|INSERT|UPDATE|DELETE|CREATE|DROP)\s+/gi
+      }
+    };
+
+    // Vendor credential signatures (detection-credentials.js), one type per secret kind
+    for (const [type, signature] of Object.entries(CREDENTIAL_SIGNATURES)) {
+      this.rules[type] = { ...signature, category: 'secrets' };
+    }
+
+    // International PII (detection-locales.js), only run for enabled locale packs
+    for (const [locale, pack] of Object.entries(LOCALE_PACKS)) {
+      for (const [type, rule] of Object.entries(pack.rules)) {
+        this.rules[type] = { ...rule, locale };
+      }
+    }
+
+    // Non-regex detectors, toggled with the category in parentheses
+    this.entropyDetector = new EntropyDetector(); // secrets
+    this.bulkDetector = new BulkDataDetector();   // bulk
+    this.detectorLabels = {
+      highEntropySecret: 'High-entropy secret',
+      bulkData: 'Bulk data'
+    };
+    this.detectorCategories = {
+      highEntropySecret: 'secrets',
+      bulkData: 'bulk'
+    };
+
+    // Weights, keyword proximity and volume handling (detection-scoring.js)
+    this.riskModel = new RiskScoringModel();
+
+    this.personalDataTypes = [
+      'ssn',
+      'email',
+      'phone',
+      'creditCard',
+      ...Object.values(LOCALE_PACKS).flatMap(pack => Object.keys(pack.rules))
+    ];
+    this.secretTypes = [
+      'apiKeys',
+      'confidential',
+      'highEntropySecret',
+      ...Object.keys(CREDENTIAL_SIGNATURES)
+    ];
+    this.codeTypes = ['sourceCode'];
+
+    // Flags raised by external matches (exact data match etc.), by their category
+    this.categoryFlags = {
+      pii: 'hasPersonalData',
+      financial: 'hasPersonalData',
+      secrets: 'hasSecrets',
+      confidential: 'hasSecrets',
+      code: 'hasCode'
+    };
+
+    // Custom pattern source -> compiled RegExp (null when invalid), so each is compiled once
+    this.compiledPatterns = new Map();
+  }
+
+  // options.categories: detectionCategories map, a category set to false is skipped
+  // options.locales: enabled locale pack ids (see resolveLocalePacks)
+  // options.customPatterns: { name: regexSource } added as custom_<name> types
+  // options.entropyThreshold: bits per character for highEntropySecret (default 4.5)
+  // options.externalMatches: [{ type, label, category, values }] from async matchers
+  //   (exact-data-match.js) that cannot run inside this synchronous pass
+  // options.documentMatches: [{ document, similarity, coverage }] from document-fingerprint.js
+  analyze(text, options = {}) {
+    if (!text || typeof text !== 'string') return this.summarize({});
+
+    const categories = options.categories || {};
+    const locales = options.locales || [];
+    const matches = {};
+    const weakMatches = {};
+    const validators = {};
+    const external = {};
+
+    for (const [type, rule] of Object.entries(this.rules)) {
+      if (categories[rule.category] === false) continue;
+      if (rule.locale && !locales.includes(rule.locale)) continue;
+
+      const found = text.match(rule.pattern);
+      if (!found || found.length === 0) continue;
+
+      if (!rule.validator) {
+        matches[type] = found;
+        continue;
+      }
+
+      const verdicts = found.map(value => DetectionValidators[rule.validator](value));
+      const passed = found.filter((value, i) => verdicts[i] === 'pass');
+      const weak = found.filter((value, i) => verdicts[i] === 'weak');
+
+      if (passed.length > 0) {
+        matches[type] = passed;
+        validators[type] = rule.validator;
+      }
+      if (weak.length > 0) {
+        weakMatches[type] = weak;
+      }
+    }
+
+    // Unknown secrets: random-looking tokens no signature claimed
+    if (categories.secrets !== false) {
+      const claimed = Object.values(matches).flat();
+      const tokens = this.entropyDetector.detect(
+        text,
+        options.entropyThreshold || this.entropyDetector.defaultThreshold,
+        claimed
+      );
+      if (tokens.length > 0) {
+        matches.highEntropySecret = tokens;
+      }
+    }
+
+    // Pasted tables, JSON record arrays and log dumps, summarized as one match
+    const bulkData = categories.bulk === false ? null : this.bulkDetector.detect(text);
+    if (bulkData) {
+      matches.bulkData = [bulkData.summary];
+    }
+
+    for (const [name, source] of Object.entries(options.customPatterns || {})) {
+      const regex = this.compilePattern(name, source);
+      if (!regex) continue;
+
+      const found = text.match(regex);
+      if (found && found.length > 0) {
+        matches[`custom_${name}`] = found;
+      }
+    }
+
+    for (const match of options.externalMatches || []) {
+      if (categories[match.category] === false || match.values.length === 0) continue;
+
+      matches[match.type] = match.values;
+      external[match.type] = match;
+    }
+
+    // Overlap with registered confidential documents
+    const documentMatches = categories.confidential === false ? [] : (options.documentMatches || []);
+    for (const match of documentMatches) {
+      const type = `document:${match.document}`;
+      matches[type] = [`${match.similarity}% similar`];
+      external[type] = {
+        type,
+        label: `Confidential document: ${match.document}`,
+        category: 'confidential'
+      };
+    }
+
+    const typeCategories = this.getCategories(Object.keys(matches), external);
+    const contextHits = this.riskModel.findContextHits(text, matches, typeCategories);
+
+    return {
+      ...this.summarize(matches, { weakMatches, validators, external, contextHits, bulkData }),
+      documentMatches,
+      bulkData
+    };
+  }
+
+  // weakMatches: matches that failed to confirm (down-weighted, not counted as types)
+  // validators: type -> validator that confirmed its matches
+  // external: type -> external match, for its label and category flag
+  // contextHits: type -> matches with a scoring keyword nearby
+  // bulkData: structured data result, whose PII columns count as personal data
+  summarize(matches, details = {}) {
+    const types = Object.keys(matches);
+    const weakMatches = details.weakMatches || {};
+    const external = details.external || {};
+    const bulkPii = Boolean(details.bulkData && details.bulkData.piiColumns.length > 0);
+    const externalFlag = (type, flag) =>
+      Boolean(external[type]) && this.categoryFlags[external[type].category] === flag;
+
+    return {
+      matches,
+      types,
+      labels: Object.fromEntries([...types, ...Object.keys(weakMatches)].map(type => [
+        type,
+        external[type] ? external[type].label : this.getLabel(type)
+      ])),
+      categories: this.getCategories([...types, ...Object.keys(weakMatches)], external),
+      weakMatches,
+      validators: details.validators || {},
+      contextHits: details.contextHits || {},
+      jurisdictions: this.getJurisdictions(types),
+      hasPersonalData: bulkPii || types.some(t => this.personalDataTypes.includes(t) || externalFlag(t, 'hasPersonalData')),
+      hasSecrets: types.some(t => this.secretTypes.includes(t) || externalFlag(t, 'hasSecrets')),
+      hasCode: types.some(t => this.codeTypes.includes(t) || externalFlag(t, 'hasCode')),
+      totalMatches: Object.values(matches).reduce((sum, arr) => sum + arr.length, 0)
+    };
+  }
+
+  score(analysis) {
+    return this.riskModel.explain(analysis).score;
+  }
+
+  // { score, breakdown } where breakdown lists each type's contribution in words
+  explainScore(analysis) {
+    return this.riskModel.explain(analysis);
+  }
+
+  configureScoring(overrides) {
+    this.riskModel.configure(overrides);
+  }
+
+  compilePattern(name, source) {
+    if (this.compiledPatterns.has(source)) {
+      return this.compiledPatterns.get(source);
+    }
+
+    let regex = null;
+    try {
+      regex = new RegExp(source, 'gi');
+    } catch (error) {
+      console.error(`Invalid custom pattern ${name}:`, error);
+    }
+
+    this.compiledPatterns.set(source, regex);
+    return regex;
+  }
+
+  // type -> { jurisdiction, regulation } for locale pack hits (GDPR/DPDP reporting)
+  getJurisdictions(types) {
+    const jurisdictions = {};
+
+    for (const type of types) {
+      const locale = this.rules[type] && this.rules[type].locale;
+      if (locale) {
+        const { jurisdiction, regulation } = LOCALE_PACKS[locale];
+        jurisdictions[type] = { jurisdiction, regulation };
+      }
+    }
+
+    return jurisdictions;
+  }
+
+  // Packs assigned to the user's organizational unit by policy win over local settings
+  resolveLocalePacks(localePacks = {}, organizationUnit = '', orgUnitPacks = {}) {
+    if (organizationUnit && Array.isArray(orgUnitPacks[organizationUnit])) {
+      return orgUnitPacks[organizationUnit].filter(locale => LOCALE_PACKS[locale]);
+    }
+    return Object.keys(localePacks).filter(locale => localePacks[locale] && LOCALE_PACKS[locale]);
+  }
+
+  // Scoring model overrides from managed policy win over the settings page ones; groups
+  // (weights, multipliers) are merged key by key
+  resolveScoringModel(settingsModel = {}, policyModel = {}) {
+    const model = { ...settingsModel };
+    for (const [key, value] of Object.entries(policyModel)) {
+      const isGroup = value && typeof value === 'object' && !Array.isArray(value);
+      model[key] = isGroup ? { ...model[key], ...value } : value;
+    }
+    return model;
+  }
+
+  getCategories(types, external = {}) {
+    return Object.fromEntries(types.map(type => {
+      if (external[type]) return [type, external[type].category];
+      if (this.rules[type]) return [type, this.rules[type].category];
+      return [type, this.detectorCategories[type] || 'custom'];
+    }));
+  }
+
+  getLabel(type) {
+    if (this.rules[type]) return this.rules[type].label;
+    if (this.detectorLabels[type]) return this.detectorLabels[type];
+    return type.replace(/^custom_/, '');
+  }
+
+  // Rule summary for display (settings page pattern list)
+  describeRules() {
+    return Object.entries(this.rules).map(([type, rule]) => ({
+      type,
+      label: rule.label,
+      category: rule.category,
+      locale: rule.locale || null,
+      source: rule.pattern.source
+    }));
+  }
+}
@@ -0,0 +1,92 @@
+// detection-entropy.js - High-entropy token detection for secrets without a known prefix
+
+class EntropyDetector {
+  constructor() {
+    // Bits per character for a base64-like token of referenceLength or more; hex and shorter
+    // tokens are scaled to the most their alphabet and length allow (see isHighEntropy)
+    this.defaultThreshold = 4.5;
+    this.minLength = 20;
+    this.referenceLength = 40;  // The threshold applies in full from this length (an AWS secret key)
+
+    this.candidatePattern = /[A-Za-z0-9+/_-]{20,}={0,2}/g;
+    this.uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    this.dataUriPattern = /data:[\w/+.-]+(?:;[\w=-]+)*;base64,[A-Za-z0-9+/=]+/g;
+    this.urlPattern = /https?:\/\/[^\s"'<>]+/g;
+    this.gitLinePattern = /^\s*(?:commit|merge:|index|from|parent|tree|[0-9a-f]{7,40}\s)/i;
+  }
+
+  static shannonEntropy(value) {
+    const counts = {};
+    for (const char of value) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+
+    let entropy = 0;
+    for (const count of Object.values(counts)) {
+      const p = count / value.length;
+      entropy -= p * Math.log2(p);
+    }
+    return entropy;
+  }
+
+  // exclude: values already claimed by another rule, so a token is not counted twice
+  detect(text, threshold = this.defaultThreshold, exclude = []) {
+    const found = [];
+    const urlSpans = [];
+
+    // Inline images and fonts are base64 by design
+    const scrubbed = text.replace(this.dataUriPattern, match => ' '.repeat(match.length));
+
+    for (const match of scrubbed.matchAll(this.urlPattern)) {
+      urlSpans.push([match.index, match.index + match[0].length]);
+    }
+
+    for (const match of scrubbed.matchAll(this.candidatePattern)) {
+      const inUrl = urlSpans.some(([start, end]) => match.index >= start && match.index < end);
+      // Path segments are judged on their own; joined up they read as one long random token
+      const parts = inUrl ? match[0].split('/') : [match[0]];
+
+      for (const part of parts) {
+        const token = part.replace(/^[-_]+|[-_]+$/g, '');
+        if (token.length < this.minLength) continue;
+        if (exclude.some(value => value.includes(token))) continue;
+
+        if (inUrl && this.uuidPattern.test(token)) continue;
+        if (this.isGitHash(scrubbed, match.index, token)) continue;
+
+        if (this.isHighEntropy(token, threshold)) {
+          found.push(token);
+        }
+      }
+    }
+
+    return found;
+  }
+
+  isHighEntropy(token, threshold) {
+    const isHex = /^[0-9a-f]+$/i.test(token);
+
+    // Require letters and digits; long identifiers and words are not secrets
+    if (!/[0-9]/.test(token) || !/[A-Za-z]/.test(token)) return false;
+
+    // A token of n characters over an alphabet of k symbols scores at most log2(min(n, k))
+    // bits per character. The limit is scaled to the alphabet (log2(k) / log2(64)) and, for
+    // tokens shorter than referenceLength, to the maximum their length allows, so short
+    // tokens can still be flagged.
+    const alphabetSize = isHex ? 16 : 64;
+    const maxEntropy = Math.log2(Math.min(token.length, alphabetSize));
+    const referenceEntropy = Math.log2(Math.min(this.referenceLength, alphabetSize));
+    const limit = threshold * (Math.log2(alphabetSize) / 6) * Math.min(1, maxEntropy / referenceEntropy);
+    return EntropyDetector.shannonEntropy(token) > limit;
+  }
+
+  isGitHash(text, index, token) {
+    if (!/^(?:[0-9a-f]{40}|[0-9a-f]{64})$/i.test(token)) return false;
+
+    const lineStart = text.lastIndexOf('\n', index) + 1;
+    const lineEnd = text.indexOf('\n', index);
+    const line = text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd);
+
+    return this.gitLinePattern.test(line);
+  }
+}
@@ -0,0 +1,107 @@
+// detection-locales.js - International PII locale packs
+// Each pack's rules are merged into the DetectionEngine rules but only run when the pack
+// is enabled (settings localePacks, or managed localePacksByOrgUnit for the user's
+// organizational unit). Hits are tagged with the pack's jurisdiction and regulation.
+
+const LOCALE_PACKS = {
+  eu: {
+    label: 'European Union (IBAN)',
+    jurisdiction: 'EU',
+    regulation: 'GDPR',
+    rules: {
+      iban: {
+        label: 'IBAN',
+        category: 'financial',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+        validator: 'iban'
+      }
+    }
+  },
+  uk: {
+    label: 'United Kingdom',
+    jurisdiction: 'UK',
+    regulation: 'UK GDPR',
+    rules: {
+      ukNino: {
+        label: 'UK National Insurance number',
+        category: 'pii',
+        pattern: /\b(?!BG|GB|KN|NK|NT|TN|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g
+      }
+    }
+  },
+  ca: {
+    label: 'Canada',
+    jurisdiction: 'CA',
+    regulation: 'PIPEDA',
+    rules: {
+      caSin: {
+        label: 'Canadian SIN',
+        category: 'pii',
+        pattern: /\b\d{3}[- ]\d{3}[- ]\d{3}\b/g,
+        validator: 'canadianSin'
+      }
+    }
+  },
+  de: {
+    label: 'Germany',
+    jurisdiction: 'DE',
+    regulation: 'GDPR',
+    rules: {
+      deTaxId: {
+        label: 'German tax ID (Steuer-IdNr)',
+        category: 'pii',
+        pattern: /\b\d{2} ?\d{3} ?\d{3} ?\d{3}\b/g,
+        validator: 'germanTaxId'
+      }
+    }
+  },
+  in: {
+    label: 'India',
+    jurisdiction: 'IN',
+    regulation: 'DPDP',
+    rules: {
+      inAadhaar: {
+        label: 'Aadhaar number',
+        category: 'pii',
+        pattern: /\b[2-9]\d{3} ?\d{4} ?\d{4}\b/g,
+        validator: 'aadhaar'
+      },
+      inPan: {
+        label: 'Indian PAN',
+        category: 'pii',
+        pattern: /\b[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]\b/g
+      }
+    }
+  },
+  au: {
+    label: 'Australia',
+    jurisdiction: 'AU',
+    regulation: 'Privacy Act 1988',
+    rules: {
+      auTfn: {
+        label: 'Australian TFN',
+        category: 'pii',
+        pattern: /\b\d{3} ?\d{3} ?\d{2,3}\b/g,
+        validator: 'australianTfn'
+      }
+    }
+  },
+  intl: {
+    label: 'International (passports, E.164 phones)',
+    jurisdiction: 'INTL',
+    regulation: 'Multiple',
+    rules: {
+      passport: {
+        label: 'Passport number',
+        category: 'pii',
+        pattern: /\bpassport(?:\s+(?:no|number|num|#))?\.?\s*[:#]?\s*[A-Z0-9]{6,9}\b/gi
+      },
+      intlPhone: {
+        label: 'International phone number',
+        category: 'pii',
+        pattern: /\+[1-9]\d{0,3}(?:[ .-]?\d{1,4}){2,5}\b/g,
+        validator: 'e164Phone'
+      }
+    }
+  }
+};
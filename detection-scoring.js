@@ -0,0 +1,167 @@
+// detection-scoring.js - Configurable risk scoring model
+// Each detected type contributes weight x volume x context points:
+//   volume:  1 + volumeFactor * log2(count), so 500 emails outweigh one without growing linearly
+//   context: proximityBoost when a keyword ("SSN:", "password") sits near a match
+// Bulk data counts its rows as the volume and is boosted for each column that looks like PII.
+// The model is overridable from settings (scoringModel) or managed policy, and every
+// score comes with a human-readable breakdown that is stored on the log entry.
+
+class RiskScoringModel {
+  constructor() {
+    this.defaults = {
+      // Type weights win over prefix weights, which win over category weights
+      typeWeights: {
+        ssn: 5,
+        creditCard: 5,
+        email: 1,
+        phone: 1.5,
+        ipAddress: 1,
+        confidential: 3,
+        apiKeys: 8,
+        highEntropySecret: 5,
+        sourceCode: 3,
+        sqlQueries: 1.5,
+        bulkData: 0.5
+      },
+      prefixWeights: {
+        'edm:': 6,
+        'document:': 8,
+        'custom_': 3
+      },
+      categoryWeights: {
+        pii: 4,
+        financial: 5,
+        secrets: 8,
+        confidential: 3,
+        code: 2,
+        bulk: 1,
+        custom: 3
+      },
+      // Keyed by type or category
+      keywords: {
+        ssn: ['ssn', 'social security'],
+        creditCard: ['card', 'credit', 'visa', 'mastercard', 'amex', 'cvv'],
+        phone: ['phone', 'tel', 'mobile', 'cell'],
+        email: ['email', 'e-mail'],
+        secrets: ['password', 'passwd', 'pwd', 'secret', 'token', 'credential', 'key'],
+        pii: ['dob', 'date of birth', 'passport', 'national insurance', 'tax id'],
+        financial: ['iban', 'account', 'bank', 'routing', 'swift']
+      },
+      proximityWindow: 40,  // Characters either side of a match
+      proximityBoost: 1.5,
+      volumeFactor: 1,
+      weakFactor: 0.25,     // Share of the weight for unconfirmed matches
+      piiColumnBoost: 0.5,  // Added to the bulk data factor per PII-looking column
+      maxScore: 10
+    };
+
+    this.configure({});
+  }
+
+  // Overrides are merged one level deep, so a policy can change a single weight
+  configure(overrides = {}) {
+    const model = {};
+    for (const [key, value] of Object.entries(this.defaults)) {
+      const isGroup = value && typeof value === 'object' && !Array.isArray(value);
+      const override = overrides[key];
+      model[key] = isGroup ? { ...value, ...(override || {}) } : (override ?? value);
+    }
+    this.model = model;
+
+    this.keywordPatterns = {};
+    for (const [key, words] of Object.entries(model.keywords)) {
+      if (!Array.isArray(words) || words.length === 0) continue;
+      const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      this.keywordPatterns[key] = new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'i');
+    }
+  }
+
+  getWeight(type, category) {
+    const { typeWeights, prefixWeights, categoryWeights } = this.model;
+    if (typeWeights[type] !== undefined) return typeWeights[type];
+
+    const prefix = Object.keys(prefixWeights).find(key => type.startsWith(key));
+    if (prefix) return prefixWeights[prefix];
+
+    return categoryWeights[category] ?? categoryWeights.custom;
+  }
+
+  // type -> number of matches with a context keyword nearby (outside the match itself)
+  findContextHits(text, matches, typeCategories) {
+    const window = this.model.proximityWindow;
+    const contextHits = {};
+
+    for (const [type, values] of Object.entries(matches)) {
+      const pattern = this.keywordPatterns[type] || this.keywordPatterns[typeCategories[type]];
+      if (!pattern) continue;
+
+      let hits = 0;
+      let searchFrom = 0;
+      for (const value of values) {
+        const index = text.indexOf(value, searchFrom);
+        if (index === -1) continue;
+        searchFrom = index + value.length;
+
+        const before = text.slice(Math.max(0, index - window), index);
+        const after = text.slice(index + value.length, index + value.length + window);
+        if (pattern.test(before) || pattern.test(after)) hits++;
+      }
+
+      if (hits > 0) contextHits[type] = hits;
+    }
+
+    return contextHits;
+  }
+
+  explain(analysis) {
+    const breakdown = [];
+    const categories = analysis.categories || {};
+    const contextHits = analysis.contextHits || {};
+    const labels = analysis.labels || {};
+    let total = 0;
+
+    const contribute = (type, count, factor, note) => {
+      const weight = this.getWeight(type, categories[type]);
+      const volume = 1 + this.model.volumeFactor * Math.log2(count);
+      const points = weight * volume * factor;
+      total += points;
+
+      const parts = [`weight ${weight}`];
+      if (count > 1) parts.push(`x${volume.toFixed(2)} volume`);
+      if (factor !== 1) parts.push(`x${factor.toFixed(2)} ${note}`);
+      breakdown.push(`${labels[type] || type} (${count}): ${parts.join(' ')} = +${points.toFixed(1)}`);
+    };
+
+    for (const type of analysis.types || []) {
+      const count = analysis.matches[type].length;
+
+      if (type.startsWith('document:')) {
+        // Scale a document overlap by how much of the text came from it
+        const match = (analysis.documentMatches || []).find(m => `document:${m.document}` === type);
+        const similarity = match ? match.similarity : 100;
+        contribute(type, 1, 0.5 + similarity / 200, `${similarity}% similarity`);
+      } else if (type === 'bulkData' && analysis.bulkData) {
+        const piiColumns = analysis.bulkData.piiColumns.length;
+        contribute(type, Math.max(analysis.bulkData.rows, 1), 1 + piiColumns * this.model.piiColumnBoost,
+          `${piiColumns} PII columns`);
+      } else if (contextHits[type]) {
+        contribute(type, count, this.model.proximityBoost, 'keyword nearby');
+      } else {
+        contribute(type, count, 1);
+      }
+    }
+
+    for (const [type, values] of Object.entries(analysis.weakMatches || {})) {
+      contribute(type, values.length, this.model.weakFactor, 'unconfirmed');
+    }
+
+    const score = Math.min(Math.round(total), this.model.maxScore);
+    if (breakdown.length > 0) {
+      breakdown.push(total > this.model.maxScore ?
+        `Total ${total.toFixed(1)}, capped at ${this.model.maxScore}` :
+        `Total ${total.toFixed(1)}, rounded to ${score}`);
+    }
+
+    return { score, breakdown };
+  }
+}
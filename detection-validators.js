@@ -0,0 +1,180 @@
+// detection-validators.js - Checksum and structure checks run on regex matches
+// Each validator returns 'pass', 'weak' (plausible but unconfirmed) or 'fail'
+
+class DetectionValidators {
+  static digits(value) {
+    return value.replace(/\D/g, '');
+  }
+
+  static luhn(digits) {
+    let sum = 0;
+    let double = false;
+
+    for (let i = digits.length - 1; i >= 0; i--) {
+      let digit = Number(digits[i]);
+      if (double) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+      double = !double;
+    }
+
+    return sum % 10 === 0;
+  }
+
+  static cardIssuer(digits) {
+    const prefix2 = Number(digits.slice(0, 2));
+    const prefix3 = Number(digits.slice(0, 3));
+    const prefix4 = Number(digits.slice(0, 4));
+    const length = digits.length;
+
+    if (digits[0] === '4' && [13, 16, 19].includes(length)) return 'visa';
+    if (((prefix2 >= 51 && prefix2 <= 55) || (prefix4 >= 2221 && prefix4 <= 2720)) && length === 16) return 'mastercard';
+    if ((prefix2 === 34 || prefix2 === 37) && length === 15) return 'amex';
+    if ((prefix4 === 6011 || prefix2 === 65 || (prefix3 >= 644 && prefix3 <= 649)) && length >= 16) return 'discover';
+    if (prefix4 >= 3528 && prefix4 <= 3589 && length >= 16) return 'jcb';
+    if ((prefix2 === 36 || prefix2 === 38 || (prefix3 >= 300 && prefix3 <= 305)) && length >= 14) return 'diners';
+
+    return null;
+  }
+
+  static creditCard(value) {
+    const digits = DetectionValidators.digits(value);
+
+    if (digits.length < 13 || digits.length > 19) return 'fail';
+    if (!DetectionValidators.luhn(digits)) return 'fail';
+
+    // Luhn-valid numbers outside known issuer ranges are often test data or IDs
+    return DetectionValidators.cardIssuer(digits) ? 'pass' : 'weak';
+  }
+
+  static ssn(value) {
+    const digits = DetectionValidators.digits(value);
+    if (digits.length !== 9) return 'fail';
+
+    const area = Number(digits.slice(0, 3));
+    const group = Number(digits.slice(3, 5));
+    const serial = Number(digits.slice(5));
+
+    // SSA never issues area 000, 666 or 900-999, group 00 or serial 0000
+    if (area === 0 || area === 666 || area >= 900) return 'fail';
+    if (group === 0 || serial === 0) return 'fail';
+
+    // Undelimited 9-digit runs are usually order or account numbers
+    return /\D/.test(value) ? 'pass' : 'weak';
+  }
+
+  static nanpPhone(value) {
+    const digits = DetectionValidators.digits(value);
+    if (digits.length !== 10) return 'fail';
+
+    const area = digits.slice(0, 3);
+    const exchange = digits.slice(3, 6);
+
+    // NANP area codes and exchanges are NXX (N = 2-9) and never N11
+    if (area[0] < '2' || exchange[0] < '2') return 'fail';
+    if (area.slice(1) === '11' || exchange.slice(1) === '11') return 'fail';
+
+    return /\D/.test(value) ? 'pass' : 'weak';
+  }
+
+  static ipv4(value) {
+    const octets = value.split('.');
+    if (octets.length !== 4) return 'fail';
+
+    const valid = octets.every(octet =>
+      Number(octet) <= 255 && !(octet.length > 1 && octet[0] === '0')
+    );
+
+    return valid ? 'pass' : 'fail';
+  }
+
+  // ISO 13616: move the country code and check digits to the end, letters to numbers, mod 97 = 1
+  static iban(value) {
+    const iban = value.replace(/\s/g, '').toUpperCase();
+    if (iban.length < 15 || iban.length > 34) return 'fail';
+
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+      const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+      for (const digit of code) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+      }
+    }
+
+    return remainder === 1 ? 'pass' : 'fail';
+  }
+
+  // Canadian SIN: Luhn, and 0 / 8 are never issued as the first digit
+  static canadianSin(value) {
+    const digits = DetectionValidators.digits(value);
+    if (digits.length !== 9 || digits[0] === '0' || digits[0] === '8') return 'fail';
+    return DetectionValidators.luhn(digits) ? 'pass' : 'fail';
+  }
+
+  // German Steuer-IdNr: ISO 7064 MOD 11,10 check digit
+  static germanTaxId(value) {
+    const digits = DetectionValidators.digits(value);
+    if (digits.length !== 11 || digits[0] === '0') return 'fail';
+
+    let product = 10;
+    for (let i = 0; i < 10; i++) {
+      let sum = (Number(digits[i]) + product) % 10;
+      if (sum === 0) sum = 10;
+      product = (sum * 2) % 11;
+    }
+
+    let check = 11 - product;
+    if (check === 10) check = 0;
+    return check === Number(digits[10]) ? 'pass' : 'fail';
+  }
+
+  // Indian Aadhaar: Verhoeff checksum
+  static aadhaar(value) {
+    const digits = DetectionValidators.digits(value);
+    if (digits.length !== 12) return 'fail';
+
+    const d = [
+      [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+      [2, 3, 4, 0, 1, 7, 8, 9, 5, 6], [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+      [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+      [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+      [8, 7, 6, 5, 9, 3, 2, 1, 0, 4], [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+    ];
+    const p = [
+      [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+      [5, 8, 0, 3, 7, 9, 6, 1, 4, 2], [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+      [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+      [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+    ];
+
+    let check = 0;
+    const reversed = digits.split('').reverse();
+    for (let i = 0; i < reversed.length; i++) {
+      check = d[check][p[i % 8][Number(reversed[i])]];
+    }
+
+    return check === 0 ? 'pass' : 'fail';
+  }
+
+  // Australian TFN: weighted sum divisible by 11 (8 and 9 digit forms)
+  static australianTfn(value) {
+    const digits = DetectionValidators.digits(value);
+    const weights = {
+      8: [10, 7, 8, 4, 6, 3, 5, 1],
+      9: [1, 4, 3, 7, 5, 8, 6, 9, 10]
+    }[digits.length];
+    if (!weights) return 'fail';
+
+    const sum = weights.reduce((total, weight, i) => total + weight * Number(digits[i]), 0);
+    return sum % 11 === 0 ? 'pass' : 'fail';
+  }
+
+  // E.164 allows at most 15 digits including the country code
+  static e164Phone(value) {
+    const digits = DetectionValidators.digits(value);
+    return digits.length >= 8 && digits.length <= 15 ? 'pass' : 'fail';
+  }
+}
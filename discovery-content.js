@@ -0,0 +1,21 @@
+// discovery-content.js - Shadow AI discovery relay
+// Registered on all sites (chrome.scripting) while discovery mode is on; injects the page
+// probe and forwards its signals to the background.
+
+(function() {
+  const probe = document.createElement('script');
+  probe.src = chrome.runtime.getURL('discovery-probe.js');
+  probe.onload = () => probe.remove();
+  (document.head || document.documentElement).appendChild(probe);
+
+  window.addEventListener('message', (e) => {
+    if (e.source !== window || !e.data || e.data.source !== 'llm-monitor') return;
+    if (e.data.type !== 'discovery_signal' || !Array.isArray(e.data.signals)) return;
+    if (typeof e.data.url !== 'string') return;
+
+    chrome.runtime.sendMessage({
+      type: 'DISCOVERY_SIGNAL',
+      data: { signals: e.data.signals, url: e.data.url }
+    });
+  });
+})();
@@ -0,0 +1,51 @@
+// discovery-probe.js - Page-level probe for shadow AI discovery
+// Injected by discovery-content.js on sites no provider adapter covers. Reads the first
+// frames of event-stream fetch responses (from a clone, so the page is not delayed) and
+// reports chat completion chunks with the stream URL. The background credits them to that
+// URL's host only if webRequest saw this tab receive an event stream from it.
+
+(function() {
+  'use strict';
+
+  const originalFetch = window.fetch;
+  const sampleLength = 4096;
+
+  async function inspectStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+
+    while (text.length < sampleLength) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value, { stream: true });
+    }
+    reader.cancel().catch(() => {});
+
+    const openAIChunks = /"choices"\s*:/.test(text) && /"delta"\s*:/.test(text);
+    const anthropicChunks = /"type"\s*:\s*"content_block_delta"/.test(text);
+    if (openAIChunks || anthropicChunks) {
+      window.postMessage({
+        source: 'llm-monitor',
+        type: 'discovery_signal',
+        signals: ['sse_chat_chunks'],
+        url: response.url
+      }, window.location.origin);
+    }
+  }
+
+  window.fetch = async function(...args) {
+    const response = await originalFetch.apply(this, args);
+
+    try {
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType.includes('text/event-stream') && response.body) {
+        inspectStream(response.clone()).catch(() => {});
+      }
+    } catch (e) {
+      // Opaque responses and unreadable headers are skipped
+    }
+
+    return response;
+  };
+})();
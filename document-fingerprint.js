@@ -0,0 +1,142 @@
+// document-fingerprint.js - Fingerprint registry for detecting pasted excerpts of confidential documents
+// Registered documents are reduced to sampled rolling-hash shingles (k consecutive words);
+// prompts are shingled the same way and compared, so no document text is stored.
+
+class DocumentFingerprinter {
+  constructor() {
+    this.documents = [];
+    this.shingleSize = 8;     // Words per shingle
+    this.sampleRate = 4;      // Keep shingles whose hash is 0 mod sampleRate
+    this.minSimilarity = 20;  // Percent of the prompt's shingles found in a document
+    this.minOverlap = 3;      // Shingles, so one shared sentence does not count
+    this.minDocumentWords = 50;
+  }
+
+  // Managed documents win over ones registered on the settings page with the same name.
+  // Never throws: the background waits on this load before logging anything.
+  async load() {
+    try {
+      let managed = [];
+      try {
+        ({ fingerprintRegistry: managed } = await chrome.storage.managed.get(['fingerprintRegistry']));
+      } catch (error) {
+        console.error('Failed to read managed fingerprint registry:', error);
+      }
+      let { fingerprintRegistry: registered } = await chrome.storage.local.get(['fingerprintRegistry']);
+      const usable = (entries) => Array.isArray(entries) ?
+        entries.filter(entry => entry && entry.name && Array.isArray(entry.hashes)) : [];
+      managed = usable(managed);
+      registered = usable(registered);
+
+      const managedNames = new Set(managed.map(entry => entry.name));
+      this.documents = [
+        ...managed.map(entry => ({ ...entry, source: 'managed' })),
+        ...registered
+          .filter(entry => !managedNames.has(entry.name))
+          .map(entry => ({ ...entry, source: 'registered' }))
+      ].map(entry => ({ ...entry, hashes: new Set(entry.hashes) }));
+    } catch (error) {
+      console.error('Failed to load fingerprint registry:', error);
+    }
+  }
+
+  static normalize(text) {
+    return text
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  // 32-bit FNV-1a
+  static wordHash(word) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < word.length; i++) {
+      hash ^= word.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Rabin-Karp rolling hash over word hashes, sampled to keep the registry small
+  shingle(text) {
+    const normalized = DocumentFingerprinter.normalize(text);
+    const words = normalized ? normalized.split(' ') : [];
+    const hashes = new Set();
+    if (words.length < this.shingleSize) return hashes;
+
+    const base = 257;
+    let highPower = 1;
+    for (let i = 1; i < this.shingleSize; i++) {
+      highPower = Math.imul(highPower, base);
+    }
+
+    const wordHashes = words.map(DocumentFingerprinter.wordHash);
+    let hash = 0;
+    for (let i = 0; i < words.length; i++) {
+      if (i >= this.shingleSize) {
+        hash = (hash - Math.imul(wordHashes[i - this.shingleSize], highPower)) | 0;
+      }
+      hash = (Math.imul(hash, base) + wordHashes[i]) | 0;
+
+      const unsigned = hash >>> 0;
+      if (i >= this.shingleSize - 1 && unsigned % this.sampleRate === 0) {
+        hashes.add(unsigned);
+      }
+    }
+
+    return hashes;
+  }
+
+  // Returns a registry entry for chrome.storage, or throws when the text is too short
+  createFingerprint(name, text) {
+    const wordCount = DocumentFingerprinter.normalize(text).split(' ').filter(Boolean).length;
+    if (wordCount < this.minDocumentWords) {
+      throw new Error(`Document needs at least ${this.minDocumentWords} words (has ${wordCount})`);
+    }
+
+    return {
+      name,
+      registeredAt: Date.now(),
+      wordCount,
+      hashes: Array.from(this.shingle(text))
+    };
+  }
+
+  // similarity: % of the text's shingles found in the document
+  // coverage: % of the document's shingles present in the text
+  match(text) {
+    if (!text || typeof text !== 'string' || this.documents.length === 0) return [];
+
+    const shingles = this.shingle(text);
+    if (shingles.size === 0) return [];
+
+    const results = [];
+    for (const entry of this.documents) {
+      let overlap = 0;
+      for (const hash of shingles) {
+        if (entry.hashes.has(hash)) overlap++;
+      }
+
+      const similarity = Math.round((overlap / shingles.size) * 100);
+      if (overlap >= this.minOverlap && similarity >= this.minSimilarity) {
+        results.push({
+          document: entry.name,
+          similarity,
+          coverage: Math.round((overlap / entry.hashes.size) * 100)
+        });
+      }
+    }
+
+    return results.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  describeDocuments() {
+    return this.documents.map(entry => ({
+      name: entry.name,
+      source: entry.source,
+      wordCount: entry.wordCount,
+      registeredAt: entry.registeredAt
+    }));
+  }
+}
@@ -0,0 +1,214 @@
+// enforcement-ui.js - In-page notices and warnings for prompts checked by the enforcement mode
+// Rendered in a closed shadow root so page styles (and page scripts) cannot reach it.
+// They name the detected categories, counts and placeholders, never the matched values.
+
+class EnforcementUI {
+  constructor() {
+    this.host = null;
+    this.root = null;
+    this.dismissTimer = null;
+    this.dismissAfter = 10000;
+    this.pendingDecision = null; // Resolves the open warning, if any
+
+    // Offered on the warning; the user can also type a justification instead
+    this.reasons = [
+      'Approved business use',
+      'Test or synthetic data',
+      'Data is already public',
+      'Customer or data owner consented'
+    ];
+  }
+
+  mount() {
+    if (this.host && this.host.isConnected) return;
+
+    this.host = document.createElement('llm-monitor-ui');
+    this.root = this.host.attachShadow({ mode: 'closed' });
+    (document.body || document.documentElement).appendChild(this.host);
+  }
+
+  // verdict: { action: 'block', riskScore, riskThreshold, items: [{ label, count }], note }
+  showNotice(verdict) {
+    this.mount();
+    this.cancelPending();
+    clearTimeout(this.dismissTimer);
+
+    this.root.innerHTML = `
+      ${this.styles()}
+      <div class="notice" role="alert">
+        <button type="button" class="close" aria-label="Close">×</button>
+        <div class="title">🛑 Prompt blocked</div>
+        ${verdict.items && verdict.items.length ? `
+          <div>This prompt was not sent because it contains data your organization does not allow in AI tools:</div>
+          ${this.renderItems(verdict.items)}
+        ` : ''}
+        ${verdict.note ? `<div>${EnforcementUI.escape(verdict.note)}</div>` : ''}
+        ${verdict.riskScore !== undefined ? `<div class="meta">Risk score ${verdict.riskScore}/10 (limit ${verdict.riskThreshold})</div>` : ''}
+      </div>
+    `;
+
+    this.root.querySelector('.close').addEventListener('click', () => this.dismiss());
+    this.dismissTimer = setTimeout(() => this.dismiss(), this.dismissAfter);
+  }
+
+  // applied: [{ label, placeholder }] from PromptRedactor.redact
+  showRedactionNotice(applied) {
+    this.mount();
+    this.cancelPending();
+    clearTimeout(this.dismissTimer);
+
+    this.root.innerHTML = `
+      ${this.styles()}
+      <div class="notice redacted" role="status">
+        <button type="button" class="close" aria-label="Close">×</button>
+        <div class="title">🔒 Sensitive data redacted</div>
+        <div>These values were replaced before the prompt was sent. Replies on this page show them restored; they never left your browser:</div>
+        <ul>${applied.map(item =>
+          `<li>${EnforcementUI.escape(item.placeholder)} · ${EnforcementUI.escape(item.label)}</li>`
+        ).join('')}</ul>
+      </div>
+    `;
+
+    this.root.querySelector('.close').addEventListener('click', () => this.dismiss());
+    this.dismissTimer = setTimeout(() => this.dismiss(), this.dismissAfter);
+  }
+
+  // Modal warning for verdict.action 'warn'. Resolves to { decision: 'proceed' | 'cancel',
+  // reason, text, decisionTime }; sending needs a reason or a typed justification.
+  askJustification(verdict) {
+    this.mount();
+    this.cancelPending();
+    clearTimeout(this.dismissTimer);
+    const shownAt = performance.now();
+
+    this.root.innerHTML = `
+      ${this.styles()}
+      <div class="backdrop">
+        <div class="dialog" role="alertdialog" aria-modal="true" aria-labelledby="title">
+          <div class="title" id="title">⚠️ Sensitive data in this prompt</div>
+          <div>Your organization asks for a reason before this prompt is sent. Detected:</div>
+          ${this.renderItems(verdict.items)}
+          <fieldset>
+            <legend>Why is it OK to send this?</legend>
+            ${this.reasons.map((reason, index) => `
+              <label><input type="radio" name="reason" value="${index}"> ${EnforcementUI.escape(reason)}</label>
+            `).join('')}
+          </fieldset>
+          <textarea placeholder="Or describe the business justification" maxlength="2000"></textarea>
+          <div class="meta">Your choice and justification are recorded for compliance review.</div>
+          <div class="actions">
+            <button type="button" class="cancel">Cancel</button>
+            <button type="button" class="proceed" disabled>Send anyway</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const textarea = this.root.querySelector('textarea');
+    const proceed = this.root.querySelector('.proceed');
+    const selectedReason = () => {
+      const checked = this.root.querySelector('input[name="reason"]:checked');
+      return checked ? this.reasons[checked.value] : null;
+    };
+    const update = () => {
+      proceed.disabled = !selectedReason() && !textarea.value.trim();
+    };
+    this.root.querySelectorAll('input[name="reason"]').forEach(input => input.addEventListener('change', update));
+    textarea.addEventListener('input', update);
+
+    // Keys typed in the dialog must not reach the page's composer shortcuts
+    this.root.querySelector('.backdrop').addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') finish('cancel');
+    });
+
+    const finish = (decision) => {
+      const pending = this.pendingDecision;
+      this.pendingDecision = null;
+      this.dismiss();
+      pending({
+        decision,
+        reason: decision === 'proceed' ? selectedReason() : null,
+        text: decision === 'proceed' ? textarea.value.trim() : null,
+        decisionTime: Math.round(performance.now() - shownAt)
+      });
+    };
+    this.root.querySelector('.cancel').addEventListener('click', () => finish('cancel'));
+    proceed.addEventListener('click', () => finish('proceed'));
+
+    return new Promise(resolve => {
+      this.pendingDecision = resolve;
+      this.root.querySelector('.cancel').focus();
+    });
+  }
+
+  // A new notice or warning replaces an open warning, which counts as cancelled
+  cancelPending() {
+    if (!this.pendingDecision) return;
+    const pending = this.pendingDecision;
+    this.pendingDecision = null;
+    pending({ decision: 'cancel', reason: null, text: null, decisionTime: null });
+  }
+
+  dismiss() {
+    clearTimeout(this.dismissTimer);
+    if (this.root) this.root.innerHTML = '';
+  }
+
+  renderItems(items = []) {
+    return `<ul>${items.map(item =>
+      `<li>${EnforcementUI.escape(item.label)}${item.count > 1 ? ` (${item.count})` : ''}</li>`
+    ).join('')}</ul>`;
+  }
+
+  styles() {
+    return `
+      <style>
+        .notice, .dialog {
+          font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          color: #1f2937; background: #fff; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2);
+        }
+        .notice {
+          position: fixed; top: 16px; right: 16px; z-index: 2147483647;
+          max-width: 360px; padding: 14px 16px; border-radius: 8px;
+          border-left: 4px solid #dc2626;
+        }
+        .notice.redacted { border-left-color: #2563eb; }
+        .backdrop {
+          position: fixed; inset: 0; z-index: 2147483647;
+          display: flex; align-items: center; justify-content: center;
+          background: rgba(17, 24, 39, 0.45);
+        }
+        .dialog {
+          width: 420px; max-width: calc(100vw - 32px); padding: 18px 20px;
+          border-radius: 10px; border-top: 4px solid #d97706;
+        }
+        .title { font-weight: 600; font-size: 14px; margin-bottom: 6px; }
+        ul { margin: 6px 0; padding-left: 18px; }
+        fieldset { border: none; margin: 8px 0; padding: 0; }
+        legend { font-weight: 600; margin-bottom: 4px; }
+        fieldset label { display: block; margin: 3px 0; cursor: pointer; }
+        textarea {
+          width: 100%; box-sizing: border-box; min-height: 64px; margin: 4px 0 8px;
+          padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 6px; font: inherit;
+        }
+        .meta { color: #6b7280; font-size: 12px; }
+        .actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 12px; }
+        .actions button {
+          padding: 6px 14px; border-radius: 6px; border: 1px solid #d1d5db;
+          background: #fff; font: inherit; cursor: pointer;
+        }
+        .actions .proceed { background: #d97706; border-color: #d97706; color: #fff; }
+        .actions .proceed:disabled { opacity: 0.5; cursor: not-allowed; }
+        .close {
+          position: absolute; top: 8px; right: 8px; border: none; background: none;
+          font-size: 16px; cursor: pointer; color: #6b7280;
+        }
+      </style>
+    `;
+  }
+
+  static escape(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+}
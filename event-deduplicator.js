@@ -0,0 +1,138 @@
+// event-deduplicator.js - Merges the same prompt or reply captured by several layers
+// webRequest, the page hooks (injected.js) and DOM extraction can each report one message.
+// Entries are fingerprinted on normalized text per tab and role; a match from another
+// layer inside the time window (or text contained in another layer's capture, e.g. a
+// partially streamed DOM node) is merged into the first entry, which keeps the
+// best-quality text. Two captures from the same layer are two messages ("yes" sent twice),
+// and blocked attempts are never merged: each one is its own event.
+
+class EventDeduplicator {
+  constructor() {
+    this.window = 2 * 60 * 1000;  // Streams and delayed DOM extraction finish within this
+    this.minContainment = 32;     // Normalized characters before containment counts
+    this.recent = new Map();      // tabId -> [{ key, role, sources, fingerprint, normalized, timestamp }]
+
+    // Higher wins when merging; ties go to the longer text
+    this.sourceQuality = {
+      network_intercept: 3,
+      web_request: 3,
+      input_monitoring: 2,
+      enforcement_check: 2, // Prompt checked before sending (enforcement modes)
+      dom_extraction: 1,
+      paste: 1,
+      web_request_raw: 0  // Unparsed body: JSON keys and escapes around the text
+    };
+  }
+
+  static normalize(text) {
+    return String(text)
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  // 32-bit FNV-1a, hex
+  static fingerprint(normalized) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < normalized.length; i++) {
+      hash ^= normalized.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  static getText(entry) {
+    return entry.content || entry.requestBody || '';
+  }
+
+  getRole(entry) {
+    if (['response', 'upload', 'blocked'].includes(entry.type)) return entry.type;
+    return 'request';
+  }
+
+  getCaptureSource(entry) {
+    return entry.captureSource || entry.method || 'unknown';
+  }
+
+  // Returns the log key of an earlier capture of the same message, or null
+  findDuplicate(entry) {
+    if (entry.type === 'blocked') return null;
+
+    const normalized = EventDeduplicator.normalize(EventDeduplicator.getText(entry));
+    if (!normalized) return null;
+
+    const fingerprint = EventDeduplicator.fingerprint(normalized);
+    const role = this.getRole(entry);
+    const source = this.getCaptureSource(entry);
+    const candidates = (this.recent.get(entry.tabId) || [])
+      .filter(item => item.role === role && !item.sources.includes(source) &&
+        Math.abs(entry.timestamp - item.timestamp) <= this.window);
+
+    const match = candidates.find(item => item.fingerprint === fingerprint) ||
+      candidates.find(item => {
+        const [shorter, longer] = item.normalized.length < normalized.length ?
+          [item.normalized, normalized] : [normalized, item.normalized];
+        return shorter.length >= this.minContainment && longer.includes(shorter);
+      });
+
+    return match ? match.key : null;
+  }
+
+  // Tracks a stored entry (or its merged text) as a merge target for later captures
+  remember(entry, key) {
+    if (entry.type === 'blocked') return;
+
+    const normalized = EventDeduplicator.normalize(EventDeduplicator.getText(entry));
+    if (!normalized) return;
+
+    const cutoff = entry.timestamp - this.window;
+    const items = (this.recent.get(entry.tabId) || [])
+      .filter(item => item.timestamp >= cutoff && item.key !== key);
+
+    items.push({
+      key,
+      role: this.getRole(entry),
+      sources: entry.captureSources || [this.getCaptureSource(entry)],
+      fingerprint: EventDeduplicator.fingerprint(normalized),
+      normalized,
+      timestamp: entry.timestamp
+    });
+    this.recent.set(entry.tabId, items);
+  }
+
+  isBetter(candidate, existing) {
+    const quality = entry => this.sourceQuality[this.getCaptureSource(entry)] || 0;
+    if (quality(candidate) !== quality(existing)) return quality(candidate) > quality(existing);
+    return EventDeduplicator.getText(candidate).length > EventDeduplicator.getText(existing).length;
+  }
+
+  // The stored entry with the duplicate folded in
+  merge(existing, duplicate) {
+    const captureSources = Array.from(new Set([
+      ...(existing.captureSources || [this.getCaptureSource(existing)]),
+      this.getCaptureSource(duplicate)
+    ]));
+
+    // Identity (timestamp, request ID, conversation turn) stays with the first capture
+    const identity = {
+      timestamp: existing.timestamp,
+      requestId: existing.requestId,
+      conversationKey: existing.conversationKey,
+      turn: existing.turn,
+      inReplyTo: existing.inReplyTo
+    };
+
+    const winner = this.isBetter(duplicate, existing) ? duplicate : existing;
+    const merged = winner === duplicate ?
+      { ...existing, ...duplicate, ...identity } :
+      { ...duplicate, ...existing };
+
+    return {
+      ...merged,
+      captureSource: this.getCaptureSource(winner), // Source of the text kept
+      captureSources,
+      mergedCount: (existing.mergedCount || 1) + 1
+    };
+  }
+}
@@ -0,0 +1,153 @@
+// exact-data-match.js - Exact data matching against salted SHA-256 dictionaries
+// Dictionaries only contain hashes: prompt tokens and n-grams are normalized, salted
+// and hashed, then looked up, so protected values never exist in plaintext here.
+//
+// Dictionary format (managed storage or uploaded on the settings page):
+// { "name": "customerAccounts", "salt": "...", "category": "pii", "maxNgram": 1,
+//   "hashes": ["<hex sha256(salt + normalized value)>", ...] }
+
+class ExactDataMatcher {
+  constructor() {
+    this.dictionaries = [];
+    this.maxNgram = 5;
+    this.maxCandidates = 20000; // Bound hashing work on very large prompts
+    this.hashBatchSize = 500;   // Digests started together rather than awaited one by one
+    this.categories = ['pii', 'financial', 'secrets', 'confidential', 'code'];
+  }
+
+  // Managed dictionaries win over uploaded ones with the same name. Never throws: the
+  // background waits on this load before logging anything.
+  async load() {
+    try {
+      let managed = [];
+      try {
+        ({ edmDictionaries: managed } = await chrome.storage.managed.get(['edmDictionaries']));
+      } catch (error) {
+        console.error('Failed to read managed EDM dictionaries:', error);
+      }
+      let { edmDictionaries: uploaded } = await chrome.storage.local.get(['edmDictionaries']);
+      if (!Array.isArray(managed)) managed = [];
+      if (!Array.isArray(uploaded)) uploaded = [];
+
+      const managedNames = new Set(managed.map(dictionary => dictionary && dictionary.name));
+      this.setDictionaries([
+        ...managed.map(dictionary => ({ ...dictionary, source: 'managed' })),
+        ...uploaded
+          .filter(dictionary => !managedNames.has(dictionary && dictionary.name))
+          .map(dictionary => ({ ...dictionary, source: 'uploaded' }))
+      ]);
+    } catch (error) {
+      console.error('Failed to load EDM dictionaries:', error);
+    }
+  }
+
+  setDictionaries(dictionaries) {
+    this.dictionaries = dictionaries
+      .filter(dictionary => {
+        const error = this.validateDictionary(dictionary);
+        if (error) console.error(`Skipping EDM dictionary ${dictionary.name}:`, error);
+        return !error;
+      })
+      .map(dictionary => ({
+        name: dictionary.name,
+        salt: dictionary.salt,
+        source: dictionary.source,
+        category: dictionary.category || 'confidential',
+        maxNgram: Math.min(dictionary.maxNgram || 1, this.maxNgram),
+        hashes: new Set(dictionary.hashes.map(hash => hash.toLowerCase()))
+      }));
+  }
+
+  // Returns an error message, or null when the dictionary is usable
+  validateDictionary(dictionary) {
+    if (!dictionary || typeof dictionary !== 'object') return 'Dictionary must be a JSON object';
+    if (!dictionary.name || !/^[\w-]+$/.test(dictionary.name)) return 'name must be letters, digits, _ or -';
+    if (typeof dictionary.salt !== 'string') return 'salt must be a string';
+    if (!Array.isArray(dictionary.hashes) || dictionary.hashes.length === 0) return 'hashes must be a non-empty array';
+    if (!dictionary.hashes.every(hash => /^[0-9a-f]{64}$/i.test(hash))) return 'hashes must be hex SHA-256 digests';
+    if (dictionary.category && !this.categories.includes(dictionary.category)) {
+      return `category must be one of ${this.categories.join(', ')}`;
+    }
+    return null;
+  }
+
+  static normalize(value) {
+    return value.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  static async sha256Hex(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  candidates(text, maxNgram) {
+    const tokens = ExactDataMatcher.normalize(text)
+      .split(' ')
+      .map(token => token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+      .filter(token => token.length > 0);
+
+    const candidates = new Set();
+    for (let i = 0; i < tokens.length && candidates.size < this.maxCandidates; i++) {
+      for (let n = 1; n <= maxNgram && i + n <= tokens.length; n++) {
+        candidates.add(tokens.slice(i, i + n).join(' '));
+      }
+    }
+    return candidates;
+  }
+
+  // Returns DetectionEngine externalMatches; values are hash prefixes, not the text.
+  // Dictionaries that share a salt share the work: each candidate is hashed once per salt
+  // and looked up in all of them.
+  async match(text) {
+    if (!text || typeof text !== 'string' || this.dictionaries.length === 0) return [];
+
+    const longestNgram = Math.max(...this.dictionaries.map(dictionary => dictionary.maxNgram));
+    const candidates = Array.from(this.candidates(text, longestNgram),
+      value => ({ value, words: value.split(' ').length }));
+    const hits = new Map(this.dictionaries.map(dictionary => [dictionary, new Set()]));
+
+    const bySalt = new Map();
+    for (const dictionary of this.dictionaries) {
+      bySalt.set(dictionary.salt, [...(bySalt.get(dictionary.salt) || []), dictionary]);
+    }
+
+    for (const [salt, dictionaries] of bySalt) {
+      const maxNgram = Math.max(...dictionaries.map(dictionary => dictionary.maxNgram));
+      const saltCandidates = candidates.filter(candidate => candidate.words <= maxNgram);
+
+      for (let i = 0; i < saltCandidates.length; i += this.hashBatchSize) {
+        const batch = saltCandidates.slice(i, i + this.hashBatchSize);
+        const hashes = await Promise.all(
+          batch.map(candidate => ExactDataMatcher.sha256Hex(salt + candidate.value))
+        );
+
+        batch.forEach((candidate, index) => {
+          for (const dictionary of dictionaries) {
+            if (candidate.words <= dictionary.maxNgram && dictionary.hashes.has(hashes[index])) {
+              hits.get(dictionary).add(`sha256:${hashes[index].slice(0, 12)}`);
+            }
+          }
+        });
+      }
+    }
+
+    return this.dictionaries.map(dictionary => ({
+      type: `edm:${dictionary.name}`,
+      label: `Exact match: ${dictionary.name}`,
+      category: dictionary.category,
+      values: Array.from(hits.get(dictionary))
+    }));
+  }
+
+  describeDictionaries() {
+    return this.dictionaries.map(dictionary => ({
+      name: dictionary.name,
+      source: dictionary.source,
+      category: dictionary.category,
+      maxNgram: dictionary.maxNgram,
+      size: dictionary.hashes.size
+    }));
+  }
+}
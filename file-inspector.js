@@ -0,0 +1,225 @@
+// file-inspector.js - Local inspection of files attached to LLM chats
+// Hashes each file (SHA-256) and extracts its text for the sensitive data analyzer:
+// plain text and source files directly, docx/xlsx by reading the zip container with
+// DecompressionStream. Nothing leaves the browser; only the results are logged.
+
+class FileInspector {
+  constructor() {
+    this.maxFileSize = 50 * 1024 * 1024;  // Larger files are logged by name and size only
+    this.maxTextLength = 1000000;         // Characters of extracted text sent for analysis
+    this.maxEntryBytes = 8 * 1024 * 1024;     // Inflated bytes kept per zip entry...
+    this.maxArchiveBytes = 16 * 1024 * 1024;  // ...and per archive, so a zip bomb stops early
+
+    this.textExtensions = [
+      'txt', 'md', 'csv', 'tsv', 'json', 'jsonl', 'log', 'xml', 'yaml', 'yml', 'toml', 'ini', 'env',
+      'html', 'css', 'js', 'jsx', 'ts', 'tsx', 'py', 'java', 'kt', 'go', 'rb', 'rs', 'c', 'h',
+      'cpp', 'hpp', 'cs', 'php', 'swift', 'scala', 'sh', 'ps1', 'sql', 'r', 'ipynb'
+    ];
+    this.textMimeTypes = /^text\/|^application\/(?:json|xml|x-yaml|x-sh|sql|javascript)/;
+  }
+
+  // Returns { name, type, size, sha256, extraction, text }; extraction is the method used
+  // ('text', 'docx', 'xlsx'), 'truncated' when a docx/xlsx entry inflated past the size caps
+  // (the text read so far is kept), or why there is no text ('unsupported', 'too_large', 'failed')
+  async inspect(file) {
+    const result = {
+      name: file.name || 'blob',
+      type: file.type || 'application/octet-stream',
+      size: file.size,
+      sha256: null,
+      extraction: 'unsupported',
+      text: ''
+    };
+
+    if (file.size > this.maxFileSize) {
+      result.extraction = 'too_large';
+      return result;
+    }
+
+    try {
+      const buffer = await file.arrayBuffer();
+      result.sha256 = await FileInspector.sha256Hex(buffer);
+
+      const extension = this.getExtension(result.name);
+      if (extension === 'docx' || extension === 'xlsx') {
+        const { text, truncated } = extension === 'docx' ?
+          await this.extractDocx(buffer) :
+          await this.extractXlsx(buffer);
+        result.text = text;
+        result.extraction = truncated ? 'truncated' : extension;
+      } else if (this.textExtensions.includes(extension) || this.textMimeTypes.test(result.type)) {
+        result.text = new TextDecoder().decode(buffer);
+        result.extraction = 'text';
+      }
+    } catch (error) {
+      console.error(`Failed to inspect ${result.name}:`, error);
+      result.extraction = 'failed';
+    }
+
+    result.text = result.text.slice(0, this.maxTextLength);
+    return result;
+  }
+
+  static async sha256Hex(buffer) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  getExtension(name) {
+    const index = name.lastIndexOf('.');
+    return index === -1 ? '' : name.slice(index + 1).toLowerCase();
+  }
+
+  // Word: paragraphs are <w:p>, runs of text are <w:t>
+  async extractDocx(buffer) {
+    const { entries, truncated } = await this.readZip(buffer, name => name === 'word/document.xml');
+    const xml = entries.get('word/document.xml');
+    if (!xml) return { text: '', truncated };
+
+    const text = FileInspector.decodeXml(xml
+      .replace(/<\/w:p>/g, '\n')
+      .replace(/<w:tab\/>/g, '\t')
+      .replace(/<[^>]+>/g, ''))
+      .trim();
+    return { text, truncated };
+  }
+
+  // Excel: one line per row, cells separated by tabs, so the bulk data detector sees a table
+  async extractXlsx(buffer) {
+    const { entries, truncated } = await this.readZip(buffer, name =>
+      name === 'xl/sharedStrings.xml' || /^xl\/worksheets\/sheet\d+\.xml$/.test(name)
+    );
+
+    const sharedStrings = [];
+    const shared = entries.get('xl/sharedStrings.xml') || '';
+    for (const [, item] of shared.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      const runs = Array.from(item.matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g), match => match[1]);
+      sharedStrings.push(FileInspector.decodeXml(runs.join('')));
+    }
+
+    const sheets = Array.from(entries.keys())
+      .filter(name => name.startsWith('xl/worksheets/'))
+      .sort((a, b) => Number(a.match(/\d+/)[0]) - Number(b.match(/\d+/)[0]));
+
+    const lines = [];
+    for (const name of sheets) {
+      for (const [, row] of entries.get(name).matchAll(/<row[^>]*>([\s\S]*?)<\/row>/g)) {
+        const cells = [];
+        for (const [, attributes, body] of row.matchAll(/<c([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+          const value = body ? (body.match(/<v>([\s\S]*?)<\/v>/) || body.match(/<t[^>]*>([\s\S]*?)<\/t>/) || [])[1] : '';
+          cells.push(/t="s"/.test(attributes) ? (sharedStrings[Number(value)] || '') : FileInspector.decodeXml(value || ''));
+        }
+        lines.push(cells.join('\t'));
+      }
+    }
+
+    return { text: lines.join('\n'), truncated };
+  }
+
+  // Minimal zip reader: walks the central directory and inflates the entries the filter keeps.
+  // Returns { entries, truncated }; output past maxEntryBytes or maxArchiveBytes is dropped.
+  async readZip(buffer, filter) {
+    const view = new DataView(buffer);
+    const entries = new Map();
+    let remaining = this.maxArchiveBytes;
+    let truncated = false;
+
+    // End of central directory record, searched backwards past an optional comment
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) throw new Error('Not a zip archive');
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) break;
+
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (!filter(name)) continue;
+      if (remaining === 0) {
+        truncated = true;
+        break;
+      }
+
+      const dataStart = localOffset + 30 +
+        view.getUint16(localOffset + 26, true) +
+        view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+      const limit = Math.min(this.maxEntryBytes, remaining);
+      let inflated = null;
+      if (method === 0) {
+        inflated = { bytes: data.subarray(0, limit), truncated: data.length > limit };
+      } else if (method === 8) {
+        inflated = await FileInspector.inflateRaw(data, limit);
+      }
+      if (!inflated) continue;
+
+      entries.set(name, decoder.decode(inflated.bytes));
+      remaining -= inflated.bytes.length;
+      truncated = truncated || inflated.truncated;
+    }
+
+    return { entries, truncated };
+  }
+
+  // Returns { bytes, truncated }: at most limit bytes; the stream is cancelled once it
+  // produces more, so a small entry that inflates to gigabytes is never held in memory
+  static async inflateRaw(bytes, limit) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    const reader = stream.getReader();
+    const chunks = [];
+    let length = 0;
+    let truncated = false;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      if (length + value.length > limit) {
+        chunks.push(value.subarray(0, limit - length));
+        length = limit;
+        truncated = true;
+        await reader.cancel();
+        break;
+      }
+      chunks.push(value);
+      length += value.length;
+    }
+
+    const output = new Uint8Array(length);
+    let position = 0;
+    for (const chunk of chunks) {
+      output.set(chunk, position);
+      position += chunk.length;
+    }
+    return { bytes: output, truncated };
+  }
+
+  static decodeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+      .replace(/&amp;/g, '&');
+  }
+}
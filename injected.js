@@ -9,28 +9,21 @@
   const originalOpen = XMLHttpRequest.prototype.open;
   const originalSend = XMLHttpRequest.prototype.send;
 
-  // LLM API endpoints to monitor
-  const llmEndpoints = [
-    'api.openai.com',
-    'api.anthropic.com', 
-    'generativelanguage.googleapis.com',
-    'api.cohere.ai',
-    'api.mistral.ai',
-    'api.perplexity.ai',
-    'api.together.ai',
-    'api.replicate.com',
-    'huggingface.co',
-    'you.com/api',
-    'character.ai',
-    'poe.com',
-    'copilot.microsoft.com',
-    'bing.com',
-    'meta.ai',
-    'pi.ai'
-  ];
+  // Provider adapters (provider-adapters.js, injected just before this script): the
+  // built-in set until the content script posts the active definitions
+  let providers = new ProviderRegistry(PROVIDER_ADAPTERS);
+
+  // Enforcement mode from the content script's enforcement_mode messages; in monitor mode
+  // (until the first message) requests are sent without waiting for a verdict
+  let enforcementMode = 'monitor';
+  let checkCounter = 0;
+
+  function findAdapter(url) {
+    return providers.findByUrl(String(url), window.location.href);
+  }
 
   function isLLMEndpoint(url) {
-    return llmEndpoints.some(endpoint => url.includes(endpoint));
+    return Boolean(findAdapter(url));
   }
 
   function dispatchLLMEvent(type, data) {
@@ -39,45 +32,326 @@
     }));
   }
 
+  // Files in a request body (File, Blob or FormData entries)
+  function collectFiles(body) {
+    if (body instanceof Blob) return [body];
+    if (body instanceof FormData) {
+      return Array.from(body.values()).filter(value => value instanceof Blob);
+    }
+    return [];
+  }
+
+  // This script only runs on LLM pages, so any file a request carries is headed to the
+  // service or its upload storage. Files go to the content script (file-inspector.js) via
+  // postMessage, which structured-clones them; CustomEvent details do not cross worlds.
+  function reportUploads(url, body) {
+    const files = collectFiles(body);
+    if (files.length === 0) return;
+
+    window.postMessage({
+      source: 'llm-monitor',
+      type: 'file_upload',
+      url: String(url),
+      files
+    }, window.location.origin);
+  }
+
+  // Asks the content script whether a request body may be sent. Resolves to the body to
+  // send (the original, or a redacted copy of the same kind) or null when it is blocked
+  // (a redact answer without a body counts as blocked); bodies that are not text are sent.
+  // The content script answers 'pending' as soon as it takes the check, which drops the
+  // timeout: the background's analysis and a warning dialog can take as long as they need.
+  // Without that answer (no content script, e.g. after an extension update) the request
+  // is blocked in block and redact modes and sent in warn mode, which only advises.
+  function checkRequest(url, body) {
+    const text = typeof body === 'string' ? body :
+      body instanceof URLSearchParams ? body.toString() : null;
+    if (enforcementMode === 'monitor' || !text) return Promise.resolve(body);
+
+    const id = `${Date.now()}-${++checkCounter}`;
+    return new Promise(resolve => {
+      const finish = (action, redacted) => {
+        clearTimeout(timer);
+        window.removeEventListener('message', onVerdict);
+        if (action === 'block' || (action === 'redact' && typeof redacted !== 'string')) {
+          resolve(null);
+        } else if (action === 'redact') {
+          resolve(body instanceof URLSearchParams ? new URLSearchParams(redacted) : redacted);
+        } else {
+          resolve(body);
+        }
+      };
+      const onVerdict = (e) => {
+        if (e.source !== window || !e.data || e.data.source !== 'llm-monitor') return;
+        if (e.data.type !== 'enforcement_verdict' || e.data.id !== id) return;
+        if (e.data.action === 'pending') clearTimeout(timer);
+        else finish(e.data.action, e.data.body);
+      };
+      const timer = setTimeout(() => {
+        finish(enforcementMode === 'block' || enforcementMode === 'redact' ? 'block' : 'allow');
+      }, 3000);
+
+      window.addEventListener('message', onVerdict);
+      window.postMessage({
+        source: 'llm-monitor',
+        type: 'enforcement_check',
+        id,
+        url: new URL(url, window.location.href).href,
+        body: text
+      }, window.location.origin);
+    });
+  }
+
+  window.addEventListener('message', (e) => {
+    if (e.source !== window || !e.data || e.data.source !== 'llm-monitor') return;
+    if (e.data.type === 'enforcement_mode') enforcementMode = e.data.mode;
+    if (e.data.type === 'provider_definitions' && Array.isArray(e.data.adapters)) {
+      providers = new ProviderRegistry(e.data.adapters);
+    }
+  });
+
+  // 'sse', 'ndjson' or 'json' (Gemini streamGenerateContent without alt=sse sends a JSON
+  // array in pieces), or null for ordinary responses
+  function getStreamFormat(url, response) {
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream')) return 'sse';
+    if (/ndjson|jsonl|json-seq/.test(contentType)) return 'ndjson';
+    if (url.includes('streamGenerateContent')) return 'json';
+    return null;
+  }
+
+  // Assembles assistant text from the provider chunk formats
+  function createStreamAssembler() {
+    const state = {
+      text: '',
+      chunks: 0,
+      inputTokens: null,
+      outputTokens: null,
+      model: null,
+      finishReason: null
+    };
+
+    function addChunk(payload) {
+      if (!payload || typeof payload !== 'object') return;
+      state.chunks++;
+      if (payload.model) state.model = payload.model;
+
+      // OpenAI chat completions (choices[].delta) and legacy completions (choices[].text)
+      if (Array.isArray(payload.choices)) {
+        for (const choice of payload.choices) {
+          if (choice.delta && typeof choice.delta.content === 'string') state.text += choice.delta.content;
+          else if (typeof choice.text === 'string') state.text += choice.text;
+          if (choice.finish_reason) state.finishReason = choice.finish_reason;
+        }
+      }
+      if (payload.usage && payload.usage.completion_tokens !== undefined) {
+        state.inputTokens = payload.usage.prompt_tokens;
+        state.outputTokens = payload.usage.completion_tokens;
+      }
+
+      // OpenAI Responses API
+      if (payload.type === 'response.output_text.delta' && typeof payload.delta === 'string') {
+        state.text += payload.delta;
+      }
+
+      // ChatGPT web sends the whole message so far in every frame
+      if (payload.message && payload.message.content && Array.isArray(payload.message.content.parts)) {
+        const parts = payload.message.content.parts.filter(part => typeof part === 'string');
+        if (parts.length > 0) state.text = parts.join('\n');
+      }
+
+      // Anthropic messages API (message_start, content_block_delta, message_delta)
+      if (payload.type === 'message_start' && payload.message) {
+        state.model = payload.message.model || state.model;
+        if (payload.message.usage) state.inputTokens = payload.message.usage.input_tokens;
+      }
+      if (payload.type === 'content_block_delta' && payload.delta && payload.delta.type === 'text_delta') {
+        state.text += payload.delta.text;
+      }
+      if (payload.type === 'message_delta') {
+        if (payload.usage) state.outputTokens = payload.usage.output_tokens;
+        if (payload.delta && payload.delta.stop_reason) state.finishReason = payload.delta.stop_reason;
+      }
+
+      // Anthropic legacy completions (claude.ai web)
+      if (payload.type === 'completion' && typeof payload.completion === 'string') {
+        state.text += payload.completion;
+        if (payload.stop_reason) state.finishReason = payload.stop_reason;
+      }
+
+      // Gemini (candidates[].content.parts[].text, usageMetadata)
+      if (Array.isArray(payload.candidates)) {
+        for (const candidate of payload.candidates) {
+          const parts = (candidate.content && candidate.content.parts) || [];
+          parts.forEach(part => { if (typeof part.text === 'string') state.text += part.text; });
+          if (candidate.finishReason) state.finishReason = candidate.finishReason;
+        }
+      }
+      if (payload.usageMetadata) {
+        state.inputTokens = payload.usageMetadata.promptTokenCount ?? state.inputTokens;
+        state.outputTokens = payload.usageMetadata.candidatesTokenCount ?? state.outputTokens;
+      }
+      if (payload.modelVersion) state.model = payload.modelVersion;
+    }
+
+    return { state, addChunk };
+  }
+
+  function parseJSON(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Reads an SSE/NDJSON body incrementally and dispatches one stream_complete event
+  async function captureStream(response, format, details) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const { state, addChunk } = createStreamAssembler();
+    let buffer = '';
+    let eventData = [];
+
+    // SSE: data lines accumulate until a blank line ends the event
+    const handleLine = (line) => {
+      if (format === 'ndjson') {
+        if (line.trim()) addChunk(parseJSON(line));
+        return;
+      }
+      if (line === '') {
+        const data = eventData.join('\n');
+        eventData = [];
+        if (data && data !== '[DONE]') addChunk(parseJSON(data));
+      } else if (line.startsWith('data:')) {
+        eventData.push(line.slice(5).replace(/^ /, ''));
+      }
+    };
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        if (format === 'json') continue;
+
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+      buffer += decoder.decode();
+
+      if (format === 'json') {
+        const chunks = parseJSON(buffer);
+        (Array.isArray(chunks) ? chunks : [chunks]).forEach(addChunk);
+      } else {
+        handleLine(buffer);
+        handleLine('');
+      }
+    } catch (error) {
+      dispatchLLMEvent('fetch_error', {
+        url: details.url,
+        transport: details.transport,
+        error: error.message,
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    // Providers that do not report usage get an estimate of ~4 characters per token
+    const estimated = state.outputTokens === null;
+    dispatchLLMEvent('stream_complete', {
+      ...details,
+      response: state.text,
+      stream: {
+        format,
+        chunks: state.chunks,
+        tokens: {
+          input: state.inputTokens,
+          output: estimated ? Math.ceil(state.text.length / 4) : state.outputTokens,
+          estimated
+        },
+        model: state.model,
+        finishReason: state.finishReason
+      },
+      timestamp: Date.now()
+    });
+  }
+
   // Intercept fetch requests
   window.fetch = async function(...args) {
-    const [resource, config] = args;
-    const url = typeof resource === 'string' ? resource : resource.url;
+    const [resource] = args;
+    let config = args[1];
+    const url = resource instanceof Request ? resource.url : String(resource);
+
+    if (config && config.body) {
+      reportUploads(url, config.body);
+    }
     
     if (isLLMEndpoint(url)) {
       console.log('LLM Fetch intercepted:', url);
+
+      // fetch(new Request(url, { body })) carries the body on the Request (an init body
+      // wins when both are given); text bodies are read from a clone so they are checked too
+      let body = config && config.body;
+      if (!body && resource instanceof Request && resource.body &&
+          /^$|json|text|x-www-form-urlencoded/.test(resource.headers.get('content-type') || '')) {
+        body = await resource.clone().text().catch(() => null);
+      }
+
+      if (body) {
+        const checked = await checkRequest(url, body);
+        if (checked === null) {
+          throw new TypeError('Request blocked by data protection policy');
+        }
+        if (checked !== body) {
+          config = { ...config, body: checked };
+          args[1] = config;
+          body = checked;
+        }
+      }
       
       // Capture request data
       let requestData = null;
-      if (config && config.body) {
+      if (body) {
         try {
-          requestData = typeof config.body === 'string' ? 
-            JSON.parse(config.body) : config.body;
+          requestData = typeof body === 'string' ? 
+            JSON.parse(body) : body;
         } catch (e) {
-          requestData = config.body;
+          requestData = body;
         }
       }
 
       try {
         const response = await originalFetch.apply(this, args);
-        
-        // Clone response to read body
-        const responseClone = response.clone();
-        const responseText = await responseClone.text();
-        
-        dispatchLLMEvent('fetch_response', {
+        const details = {
           url,
-          method: config?.method || 'GET',
+          method: config?.method || (resource instanceof Request ? resource.method : 'GET'),
           request: requestData,
-          response: responseText,
           status: response.status,
-          timestamp: Date.now()
-        });
+          transport: 'fetch'
+        };
+
+        // Read a clone in the background so the page gets its response immediately
+        const streamFormat = getStreamFormat(url, response);
+        if (streamFormat && response.body) {
+          captureStream(response.clone(), streamFormat, details);
+        } else {
+          response.clone().text().then(responseText => {
+            dispatchLLMEvent('fetch_response', {
+              ...details,
+              response: responseText,
+              timestamp: Date.now()
+            });
+          }).catch(() => {});
+        }
         
         return response;
       } catch (error) {
         dispatchLLMEvent('fetch_error', {
           url,
+          transport: 'fetch',
           error: error.message,
           timestamp: Date.now()
         });
@@ -100,6 +374,7 @@
     open(method, url, ...args) {
       this._method = method;
       this._url = url;
+      this._async = args[0] !== false;
       
       if (isLLMEndpoint(url)) {
         console.log('LLM XHR intercepted:', url);
@@ -111,6 +386,7 @@
           if (this.readyState === XMLHttpRequest.DONE && isLLMEndpoint(this._url)) {
             dispatchLLMEvent('xhr_response', {
               url: this._url,
+              transport: 'xhr',
               method: this._method,
               request: this._requestData,
               response: this.responseText,
@@ -129,15 +405,185 @@
     }
 
     send(data) {
-      if (isLLMEndpoint(this._url)) {
-        this._requestData = data;
+      reportUploads(this._url, data);
+
+      if (!isLLMEndpoint(this._url)) {
+        return originalSend.apply(this, arguments);
       }
-      return originalSend.apply(this, arguments);
+      this._requestData = data;
+
+      // Synchronous requests cannot wait for a verdict
+      if (enforcementMode === 'monitor' || !this._async) {
+        return originalSend.apply(this, arguments);
+      }
+      checkRequest(this._url, data).then(body => {
+        if (body === null) {
+          this.dispatchEvent(new ProgressEvent('error'));
+          this.dispatchEvent(new ProgressEvent('loadend'));
+          return;
+        }
+        this._requestData = body;
+        originalSend.call(this, body);
+      });
     }
   }
 
   window.XMLHttpRequest = InterceptedXHR;
 
+  // Frame decoders for socket and EventSource transports, picked by the adapter's
+  // frameDecoder (generic otherwise). decode() returns null when the frame is not in the
+  // provider's format (the chunk formats understood by createStreamAssembler are tried
+  // next), or { text, mode: 'append' | 'replace', final }.
+  const frameDecoders = [
+    {
+      name: 'copilot',
+      decode(payload, direction) {
+        if (!payload || typeof payload !== 'object') return null;
+
+        // Copilot chat socket
+        if (payload.event === 'send' && Array.isArray(payload.content)) {
+          return { text: payload.content.map(part => part.text).filter(Boolean).join('\n') };
+        }
+        if (payload.event === 'appendText') return { text: payload.text || '', mode: 'append' };
+        if (payload.event === 'done') return { final: true };
+
+        // Bing Chat SignalR messages (type 4 invocation out, type 1 update / type 2 result in)
+        if (direction === 'outgoing' && payload.type === 4) {
+          const message = payload.arguments && payload.arguments[0] && payload.arguments[0].message;
+          return { text: message ? message.text : '' };
+        }
+        if (payload.type === 1 && payload.target === 'update') {
+          const messages = (payload.arguments && payload.arguments[0] && payload.arguments[0].messages) || [];
+          const text = messages.filter(m => m.author === 'bot' && m.text).map(m => m.text).join('\n');
+          return text ? { text, mode: 'replace' } : {};
+        }
+        if (payload.type === 2 || payload.type === 3) return { final: true };
+
+        return null;
+      }
+    },
+    {
+      name: 'characterai',
+      decode(payload, direction) {
+        if (!payload || typeof payload !== 'object') return null;
+
+        const turn = direction === 'outgoing' ? payload.payload && payload.payload.turn : payload.turn;
+        if (!turn) return {};
+        if (direction === 'incoming' && turn.author && turn.author.is_human) return {};
+
+        const candidate = (turn.candidates || [])[0];
+        if (!candidate) return {};
+        return { text: candidate.raw_content || '', mode: 'replace', final: Boolean(candidate.is_final) };
+      }
+    },
+    {
+      name: 'generic',
+      // Only JSON frames with a prompt field are prompts; pings, heartbeats and protocol
+      // handshakes are not logged
+      decode(payload, direction) {
+        if (direction !== 'outgoing' || !payload || typeof payload !== 'object') return null;
+
+        const field = ['prompt', 'message', 'content', 'text', 'query']
+          .find(key => typeof payload[key] === 'string');
+        return field ? { text: payload[field] } : null;
+      }
+    }
+  ];
+
+  // Decodes a connection's frames into user prompts (sent right away) and assistant
+  // completions (sent when the provider marks them final, or after a quiet period)
+  function createFrameCollector(url, transport) {
+    const adapter = findAdapter(url);
+    const decoder = frameDecoders.find(d => d.name === (adapter && adapter.frameDecoder)) ||
+      frameDecoders.find(d => d.name === 'generic');
+    let assembler = createStreamAssembler();
+    let frames = 0;
+    let idleTimer = null;
+
+    const flush = () => {
+      clearTimeout(idleTimer);
+      if (assembler.state.text) {
+        dispatchLLMEvent(`${transport}_message`, {
+          url,
+          transport,
+          decoder: decoder.name,
+          response: assembler.state.text,
+          stream: {
+            format: transport,
+            chunks: frames,
+            tokens: {
+              input: assembler.state.inputTokens,
+              output: assembler.state.outputTokens ?? Math.ceil(assembler.state.text.length / 4),
+              estimated: assembler.state.outputTokens === null
+            },
+            model: assembler.state.model,
+            finishReason: assembler.state.finishReason
+          },
+          timestamp: Date.now()
+        });
+      }
+      assembler = createStreamAssembler();
+      frames = 0;
+    };
+
+    // SignalR separates JSON records with 0x1e; other services send one per frame
+    const records = (data) => String(data).split('\x1e').filter(record => record.trim());
+
+    return {
+      incoming(data) {
+        for (const record of records(data)) {
+          if (record.trim() === '[DONE]') {
+            flush();
+            continue;
+          }
+
+          const payload = parseJSON(record);
+          const decoded = decoder.decode(payload ?? record, 'incoming');
+          frames++;
+
+          if (decoded === null) {
+            assembler.addChunk(payload);
+          } else if (decoded.text) {
+            assembler.state.text = decoded.mode === 'replace' ? decoded.text : assembler.state.text + decoded.text;
+          }
+
+          if ((decoded && decoded.final) || assembler.state.finishReason) {
+            flush();
+          }
+        }
+
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(flush, 3000);
+      },
+
+      outgoing(data) {
+        for (const record of records(data)) {
+          const payload = parseJSON(record);
+          const decoded = decoder.decode(payload ?? record, 'outgoing');
+          if (decoded && decoded.text) {
+            dispatchLLMEvent(`${transport}_send`, {
+              url,
+              transport,
+              direction: 'outgoing',
+              decoder: decoder.name,
+              request: decoded.text,
+              timestamp: Date.now()
+            });
+          }
+        }
+      },
+
+      flush
+    };
+  }
+
+  // Text of a text or binary frame; Blob frames are read asynchronously
+  function readFrame(data, callback) {
+    if (typeof data === 'string') callback(data);
+    else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) callback(new TextDecoder().decode(data));
+    else if (data instanceof Blob) data.text().then(callback).catch(() => {});
+  }
+
   // Intercept EventSource (Server-Sent Events) for streaming responses
   const originalEventSource = window.EventSource;
   
@@ -145,38 +591,39 @@
     constructor(url, eventSourceInitDict) {
       super(url, eventSourceInitDict);
       
-      if (isLLMEndpoint(url)) {
-        console.log('LLM EventSource intercepted:', url);
+      const href = String(url);
+      if (isLLMEndpoint(href)) {
+        console.log('LLM EventSource intercepted:', href);
         
-        this.addEventListener('message', (event) => {
-          dispatchLLMEvent('sse_message', {
-            url: url,
-            data: event.data,
-            timestamp: Date.now()
-          });
-        });
+        const collector = createFrameCollector(href, 'eventsource');
+        this.addEventListener('message', (event) => collector.incoming(event.data));
+        this.addEventListener('error', () => collector.flush());
       }
     }
   };
 
-  // Intercept WebSocket connections (less common but some LLMs use them)
+  // Intercept WebSocket connections (Character.AI, Copilot and others stream over them)
   const originalWebSocket = window.WebSocket;
   
   window.WebSocket = class extends originalWebSocket {
     constructor(url, protocols) {
       super(url, protocols);
       
-      if (isLLMEndpoint(url)) {
-        console.log('LLM WebSocket intercepted:', url);
+      const href = String(url);
+      if (isLLMEndpoint(href)) {
+        console.log('LLM WebSocket intercepted:', href);
         
-        this.addEventListener('message', (event) => {
-          dispatchLLMEvent('websocket_message', {
-            url: url,
-            data: event.data,
-            timestamp: Date.now()
-          });
-        });
+        this._collector = createFrameCollector(href, 'websocket');
+        this.addEventListener('message', (event) => readFrame(event.data, this._collector.incoming));
+        this.addEventListener('close', () => this._collector.flush());
+      }
+    }
+
+    send(data) {
+      if (this._collector) {
+        readFrame(data, this._collector.outgoing);
       }
+      return super.send(data);
     }
   };
 
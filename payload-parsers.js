@@ -0,0 +1,238 @@
+// payload-parsers.js - Provider request payload parsers
+// Extracts the user-authored prompt from a request body so the analyzer does not match
+// on model names, IDs, system prompts or JSON escapes. Each provider adapter
+// (provider-adapters.js) names its parser, which also checks the endpoint path; unknown
+// endpoints fall back to the raw body.
+
+class PayloadParsers {
+  constructor() {
+    this.parsers = [
+      {
+        name: 'chatgpt-conversation',
+        path: /^\/backend-api\/(?:f\/)?conversation$/,
+        parse: body => this.parseChatGPT(body)
+      },
+      {
+        name: 'claude-completion',
+        path: /^\/api\/organizations\/[^/]+\/chat_conversations\/[^/]+\/(?:retry_)?completion$/,
+        parse: (body, url) => this.parseClaudeCompletion(body, url)
+      },
+      {
+        name: 'gemini-batchexecute',
+        path: /\/data\/(?:batchexecute|assistant\.lamda\.BardFrontendService\/StreamGenerate)$/,
+        parse: body => this.parseGeminiWeb(body)
+      },
+      {
+        name: 'anthropic-messages',
+        path: /\/v1\/messages$/,
+        parse: body => this.parseAnthropicMessages(body)
+      },
+      {
+        name: 'openai-chat-completions',
+        path: /\/v1\/(?:chat\/)?completions$/,
+        parse: body => this.parseChatCompletions(body)
+      },
+      {
+        name: 'gemini-generate-content',
+        path: /\/models\/[^/:]+:(?:stream)?[gG]enerateContent$/,
+        parse: (body, url) => this.parseGeminiApi(body, url)
+      }
+    ];
+  }
+
+  // body: raw text, or webRequest formData ({ key: [values] }) for form-encoded posts.
+  // Returns { parser, prompt, attachments, model, conversationId } or null when the named
+  // parser does not cover the endpoint or the body is not in the expected shape.
+  parse(url, body, parserName) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    const parser = this.parsers.find(p =>
+      p.name === parserName && p.path.test(parsedUrl.pathname)
+    );
+    if (!parser || !body) return null;
+
+    try {
+      const result = parser.parse(body, parsedUrl);
+      if (!result) return null;
+
+      return {
+        parser: parser.name,
+        prompt: result.prompt || '',
+        attachments: result.attachments || [],
+        model: result.model || null,
+        conversationId: result.conversationId || null
+      };
+    } catch (error) {
+      console.error(`Payload parser ${parser.name} failed:`, error);
+      return null;
+    }
+  }
+
+  static json(body) {
+    return typeof body === 'string' ? JSON.parse(body) : body;
+  }
+
+  // Earlier turns are resent with every API call; they were logged with the request that
+  // first sent them, so only the latest user turn is analyzed
+  static lastUserMessage(messages) {
+    return (messages || []).filter(message => message.role === 'user').pop();
+  }
+
+  parseChatGPT(body) {
+    const payload = PayloadParsers.json(body);
+    const prompt = [];
+    const attachments = [];
+
+    for (const message of payload.messages || []) {
+      if (!message.author || message.author.role !== 'user') continue;
+
+      for (const part of (message.content && message.content.parts) || []) {
+        if (typeof part === 'string') {
+          prompt.push(part);
+        } else if (part && part.asset_pointer) {
+          attachments.push({ id: part.asset_pointer, type: part.content_type || 'image' });
+        }
+      }
+      for (const file of (message.metadata && message.metadata.attachments) || []) {
+        attachments.push({ id: file.id, name: file.name, type: file.mime_type || file.mimeType, size: file.size });
+      }
+    }
+
+    return {
+      prompt: prompt.join('\n'),
+      attachments,
+      model: payload.model,
+      conversationId: payload.conversation_id
+    };
+  }
+
+  // claude.ai sends long pastes as attachments with their text inline (extracted_content);
+  // that text is the user's, so it is analyzed along with the prompt
+  parseClaudeCompletion(body, url) {
+    const payload = PayloadParsers.json(body);
+    const prompt = [payload.prompt || ''];
+    const attachments = [];
+
+    for (const attachment of payload.attachments || []) {
+      attachments.push({ name: attachment.file_name, type: attachment.file_type, size: attachment.file_size });
+      if (attachment.extracted_content) prompt.push(attachment.extracted_content);
+    }
+    for (const file of payload.files || []) {
+      attachments.push({ id: typeof file === 'string' ? file : file.file_uuid });
+    }
+
+    return {
+      prompt: prompt.filter(Boolean).join('\n'),
+      attachments,
+      model: payload.model,
+      conversationId: url.pathname.split('/')[5]
+    };
+  }
+
+  // f.req is JSON whose second element is the request, itself a JSON string:
+  // [[prompt, 0, null, attachments], [language], [conversationId, responseId, choiceId], ...]
+  parseGeminiWeb(body) {
+    const freq = typeof body === 'string' ?
+      new URLSearchParams(body).get('f.req') :
+      (body['f.req'] || [])[0];
+    if (!freq) return null;
+
+    const outer = JSON.parse(freq);
+    const innerSource = typeof outer[1] === 'string' ? outer[1] :
+      (Array.isArray(outer[0]) && Array.isArray(outer[0][0]) ? outer[0][0][1] : null);
+    if (typeof innerSource !== 'string') return null;
+
+    const inner = JSON.parse(innerSource);
+    if (!Array.isArray(inner) || !Array.isArray(inner[0]) || typeof inner[0][0] !== 'string') {
+      return { prompt: '' }; // Other batchexecute RPCs (history, settings) carry no prompt
+    }
+
+    const attachments = [];
+    const collectNames = (value) => {
+      if (!Array.isArray(value)) return;
+      if (typeof value[1] === 'string' && /\.\w{1,5}$/.test(value[1])) {
+        attachments.push({ name: value[1] });
+      }
+      value.forEach(collectNames);
+    };
+    collectNames(inner[0][3]);
+
+    return {
+      prompt: inner[0][0],
+      attachments,
+      conversationId: Array.isArray(inner[2]) ? inner[2][0] : null
+    };
+  }
+
+  parseAnthropicMessages(body) {
+    const payload = PayloadParsers.json(body);
+    const message = PayloadParsers.lastUserMessage(payload.messages);
+    if (!message) return { model: payload.model };
+
+    const blocks = typeof message.content === 'string' ?
+      [{ type: 'text', text: message.content }] :
+      (message.content || []);
+
+    return {
+      prompt: blocks.filter(block => block.type === 'text').map(block => block.text).join('\n'),
+      attachments: blocks
+        .filter(block => block.type === 'image' || block.type === 'document')
+        .map(block => ({
+          type: (block.source && block.source.media_type) || block.type,
+          name: block.title || (block.source && block.source.file_id) || null
+        })),
+      model: payload.model,
+      conversationId: payload.metadata && payload.metadata.user_id
+    };
+  }
+
+  // OpenAI-compatible chat completions (OpenAI, Mistral, Perplexity, Together, ...)
+  parseChatCompletions(body) {
+    const payload = PayloadParsers.json(body);
+
+    if (typeof payload.prompt === 'string') {
+      return { prompt: payload.prompt, model: payload.model }; // Legacy /v1/completions
+    }
+
+    const message = PayloadParsers.lastUserMessage(payload.messages);
+    if (!message) return { model: payload.model };
+
+    const parts = typeof message.content === 'string' ?
+      [{ type: 'text', text: message.content }] :
+      (message.content || []);
+
+    return {
+      prompt: parts.filter(part => part.type === 'text').map(part => part.text).join('\n'),
+      attachments: parts
+        .filter(part => part.type !== 'text')
+        .map(part => ({
+          type: part.type,
+          name: part.file ? (part.file.filename || part.file.file_id) : null
+        })),
+      model: payload.model,
+      conversationId: payload.user || null
+    };
+  }
+
+  parseGeminiApi(body, url) {
+    const payload = PayloadParsers.json(body);
+    const content = (payload.contents || []).filter(entry => !entry.role || entry.role === 'user').pop();
+    const parts = (content && content.parts) || [];
+
+    return {
+      prompt: parts.filter(part => typeof part.text === 'string').map(part => part.text).join('\n'),
+      attachments: parts
+        .filter(part => part.inline_data || part.inlineData || part.file_data || part.fileData)
+        .map(part => {
+          const data = part.inline_data || part.inlineData || part.file_data || part.fileData;
+          return { type: data.mime_type || data.mimeType, name: data.file_uri || data.fileUri || null };
+        }),
+      model: url.pathname.match(/\/models\/([^/:]+)/)[1]
+    };
+  }
+}
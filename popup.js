@@ -4,6 +4,8 @@ class PopupController {
   constructor() {
     this.currentFilters = {};
     this.currentLogs = [];
+    this.view = 'activity'; // or 'conversations'
+    this.openConversation = null; // Thread being viewed, kept across auto-refresh
     this.init();
   }
 
@@ -36,6 +38,11 @@ class PopupController {
       this.applyFilters();
     });
 
+    document.getElementById('viewFilter').addEventListener('change', (e) => {
+      this.view = e.target.value;
+      this.applyFilters();
+    });
+
     // Button controls
     document.getElementById('refreshBtn').addEventListener('click', () => this.refresh());
     document.getElementById('exportBtn').addEventListener('click', () => this.exportLogs());
@@ -86,6 +93,16 @@ class PopupController {
   }
 
   async loadRecentActivity() {
+    if (this.openConversation) {
+      await this.showConversation(this.openConversation);
+      return;
+    }
+    if (this.view === 'conversations') {
+      await this.loadConversations();
+      return;
+    }
+    document.getElementById('activityTitle').textContent = 'Recent Activity';
+
     try {
       const response = await chrome.runtime.sendMessage({
         type: 'GET_LOGS',
@@ -121,9 +138,10 @@ class PopupController {
       return `
         <div class="activity-item" data-log-id="${log.timestamp}">
           <div class="activity-info">
-            <div class="activity-provider">${log.provider || 'Unknown'}</div>
+            <div class="activity-provider">${this.escapeHtml(log.provider || 'Unknown')}${log.type === 'blocked' ? ' · 🛑 Blocked' : ''}${log.type === 'blocked_navigation' ? ' · ⛔ Prohibited site blocked' : ''}</div>
             <div class="activity-time">${time}</div>
             ${log.analysis ? this.renderSensitiveDataBadges(log.analysis) : ''}
+            ${log.conversationKey ? `<a href="#" class="thread-link" data-conversation="${this.escapeHtml(log.conversationKey)}" style="font-size: 11px;">🧵 Turn ${log.turn} of conversation</a>` : ''}
           </div>
           <div class="activity-risk ${riskClass}">${riskLabel}</div>
         </div>
@@ -137,6 +155,108 @@ class PopupController {
         this.showLogDetails(logId);
       });
     });
+    this.bindThreadLinks(activityList);
+  }
+
+  bindThreadLinks(container) {
+    container.querySelectorAll('.thread-link').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.showConversation(e.currentTarget.getAttribute('data-conversation'));
+      });
+    });
+  }
+
+  async loadConversations() {
+    document.getElementById('activityTitle').textContent = 'Conversations';
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_CONVERSATIONS',
+        filters: { ...this.currentFilters, limit: 20 }
+      });
+
+      if (response && response.conversations) {
+        this.displayConversations(response.conversations);
+      }
+    } catch (error) {
+      console.error('Failed to load conversations:', error);
+      this.showError('Failed to load conversations');
+    }
+  }
+
+  displayConversations(conversations) {
+    const activityList = document.getElementById('activityList');
+
+    if (conversations.length === 0) {
+      activityList.innerHTML = '<div class="empty-state">No conversations found</div>';
+      return;
+    }
+
+    activityList.innerHTML = conversations.map(conversation => `
+      <div class="activity-item thread-link" data-conversation="${this.escapeHtml(conversation.key)}">
+        <div class="activity-info">
+          <div class="activity-provider">${this.escapeHtml(conversation.provider || 'Unknown')}</div>
+          <div class="activity-time">${conversation.turnCount} turns · ${this.formatTime(conversation.firstActivity)} – ${this.formatTime(conversation.lastActivity)} · cumulative risk ${conversation.cumulativeRisk}</div>
+          ${this.renderSensitiveDataBadges({ types: conversation.sensitiveTypes })}
+        </div>
+        <div class="activity-risk ${this.getRiskClass(conversation.maxRisk)}">${this.getRiskLabel(conversation.maxRisk)}</div>
+      </div>
+    `).join('');
+
+    this.bindThreadLinks(activityList);
+  }
+
+  // One conversation as a thread of turns, oldest first
+  async showConversation(key) {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_CONVERSATION', key });
+    const conversation = response && response.conversation;
+    if (!conversation) {
+      this.openConversation = null;
+      this.showError('Conversation no longer available');
+      return;
+    }
+
+    const roles = { request: '🧑 You', response: '🤖 Assistant', upload: '📎 File upload', blocked: '🛑 Blocked prompt' };
+    const activityList = document.getElementById('activityList');
+    document.getElementById('activityTitle').textContent =
+      `${conversation.provider} conversation (cumulative risk ${conversation.cumulativeRisk})`;
+
+    this.currentLogs = conversation.turns.map(turn => turn.entry);
+    activityList.innerHTML = `
+      <div class="activity-item" id="threadBack"><div class="activity-info">← Back</div></div>
+      ${conversation.turns.map(turn => {
+        const entry = turn.entry;
+        const text = entry.file ? entry.file.name : (entry.content || entry.requestBody || '');
+        return `
+          <div class="activity-item" data-log-id="${entry.timestamp}">
+            <div class="activity-info">
+              <div class="activity-provider">${roles[turn.type]} · turn ${turn.sequence}${turn.inReplyTo ? ` (reply to ${turn.inReplyTo})` : ''}</div>
+              <div class="activity-time">${this.formatTime(turn.timestamp)}${turn.statusCode ? ` · HTTP ${turn.statusCode}` : ''}</div>
+              <div style="font-size: 11px; color: #495057;">${this.escapeHtml(text.slice(0, 120))}${text.length > 120 ? '…' : ''}</div>
+              ${entry.analysis ? this.renderSensitiveDataBadges(entry.analysis) : ''}
+            </div>
+            <div class="activity-risk ${this.getRiskClass(turn.riskScore)}">${this.getRiskLabel(turn.riskScore)}</div>
+          </div>
+        `;
+      }).join('')}
+    `;
+
+    this.openConversation = key;
+    document.getElementById('threadBack').addEventListener('click', () => {
+      this.openConversation = null;
+      this.loadRecentActivity();
+    });
+    activityList.querySelectorAll('.activity-item[data-log-id]').forEach(item => {
+      item.addEventListener('click', (e) => this.showLogDetails(e.currentTarget.getAttribute('data-log-id')));
+    });
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   renderSensitiveDataBadges(analysis) {
@@ -145,14 +265,14 @@ class PopupController {
     }
 
     const badges = analysis.types.map(type => {
-      const label = this.getSensitiveTypeLabel(type);
+      const label = this.getSensitiveTypeLabel(type, analysis);
       return `<span style="background: #ff6b6b; color: white; padding: 1px 6px; border-radius: 8px; font-size: 10px; margin-right: 4px;">${label}</span>`;
     }).join('');
 
     return `<div style="margin-top: 4px;">${badges}</div>`;
   }
 
-  getSensitiveTypeLabel(type) {
+  getSensitiveTypeLabel(type, analysis = {}) {
     const labels = {
       'ssn': 'SSN',
       'email': 'Email',
@@ -163,7 +283,9 @@ class PopupController {
       'sourceCode': 'Code',
       'sqlQueries': 'SQL'
     };
-    return labels[type] || type.toUpperCase();
+    // Detection engine labels name specific secrets, e.g. 'AWS secret access key'
+    const engineLabel = analysis.labels && analysis.labels[type];
+    return labels[type] || engineLabel || type.toUpperCase();
   }
 
   formatTime(timestamp) {
@@ -195,6 +317,7 @@ class PopupController {
   }
 
   async applyFilters() {
+    this.openConversation = null;
     await this.loadRecentActivity();
   }
 
@@ -244,7 +367,11 @@ class PopupController {
       'Has Personal Data',
       'Has Secrets',
       'Has Code',
-      'Total Matches'
+      'Total Matches',
+      'Jurisdictions',
+      'Score Breakdown',
+      'Conversation',
+      'Turn'
     ];
 
     const rows = logs.map(log => [
@@ -256,7 +383,14 @@ class PopupController {
       log.analysis ? log.analysis.hasPersonalData : false,
       log.analysis ? log.analysis.hasSecrets : false,
       log.analysis ? log.analysis.hasCode : false,
-      log.analysis ? log.analysis.totalMatches : 0
+      log.analysis ? log.analysis.totalMatches : 0,
+      log.analysis && log.analysis.jurisdictions ?
+        Object.entries(log.analysis.jurisdictions)
+          .map(([type, tag]) => `${type}: ${tag.jurisdiction} (${tag.regulation})`)
+          .join('; ') : '',
+      (log.scoreBreakdown || []).join('; '),
+      log.conversationKey || '',
+      log.turn || ''
     ]);
 
     return [headers, ...rows]
@@ -276,13 +410,25 @@ Provider: ${log.provider}
 Time: ${new Date(log.timestamp).toLocaleString()}
 Risk Score: ${log.riskScore}/10
 URL: ${log.url}
+${log.conversationKey ? `Conversation: turn ${log.turn}${log.inReplyTo ? `, reply to turn ${log.inReplyTo}` : ''}` : ''}
 
 Sensitive Data Detected:
-${log.analysis ? log.analysis.types.join(', ') || 'None' : 'None'}
+${log.analysis ? log.analysis.types.map(type => this.getSensitiveTypeLabel(type, log.analysis)).join(', ') || 'None' : 'None'}
 
 ${log.analysis && log.analysis.hasPersonalData ? '⚠️ Contains Personal Data' : ''}
 ${log.analysis && log.analysis.hasSecrets ? '🔒 Contains Secrets/Keys' : ''}
 ${log.analysis && log.analysis.hasCode ? '💻 Contains Code' : ''}
+${log.scoreBreakdown && log.scoreBreakdown.length ? `How the score was reached:\n${log.scoreBreakdown.map(line => `  ${line}`).join('\n')}\n` : ''}
+${log.payload ? `Model: ${log.payload.model || 'unknown'}${log.payload.conversationId ? ` | Conversation: ${log.payload.conversationId}` : ''}${(log.payload.attachments || []).length ? ` | Attachments: ${log.payload.attachments.map(a => a.name || a.id || a.type).join(', ')}` : ''}` : ''}
+${log.stream ? `🔁 Streamed ${log.stream.format.toUpperCase()}: ${log.stream.chunks} chunks, ${log.stream.tokens.output} output tokens${log.stream.tokens.estimated ? ' (estimated)' : ''}` : ''}
+${log.file ? `📎 ${log.file.name} (${log.file.type}, ${log.file.size} bytes, text: ${log.file.extraction})\nSHA-256: ${log.file.sha256 || 'n/a'}` : ''}
+${log.analysis && log.analysis.bulkData ? `📊 ${log.analysis.bulkData.summary}` : ''}
+${log.analysis && log.analysis.documentMatches ? log.analysis.documentMatches.map(match => `📄 Overlaps "${match.document}" (${match.similarity}% similar)`).join('\n') : ''}
+${log.providerPolicy ? `⛔ Prohibited provider: ${log.providerPolicy.action === 'redirect' ? 'page replaced by the policy page' : `${log.resourceType} request blocked`}` : ''}
+${log.enforcement && log.enforcement.redactionFailed ? '🛑 Blocked: the sensitive values could not be redacted' : ''}
+${log.enforcement && log.enforcement.nothingToRedact ? '🛑 Blocked: the sensitive data cannot be replaced by placeholders' : ''}
+${log.redactions && log.redactions.length ? `🔒 Redacted before sending: ${log.redactions.map(item => `${item.placeholder} (${item.label})`).join(', ')}` : ''}
+${log.justification ? `⚠️ Warned: ${log.justification.decision === 'proceed' ? 'sent anyway' : 'cancelled'}${log.justification.reason ? ` | Reason: ${log.justification.reason}` : ''}${log.justification.text ? ` | Justification: ${log.justification.text}` : ''}${log.justification.decisionTime ? ` | Decided in ${Math.round(log.justification.decisionTime / 1000)}s` : ''}` : ''}
     `);
   }
 
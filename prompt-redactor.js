@@ -0,0 +1,148 @@
+// prompt-redactor.js - Typed placeholders for sensitive values in outgoing prompts
+// Redact mode replaces each value the background flagged with a placeholder such as
+// [EMAIL_1] or [AWS_KEY_1]. The placeholder-to-value map lives only in this tab's memory
+// (it is never sent or stored), so placeholders echoed in replies can be shown restored
+// on the page while logs keep the placeholders.
+
+class PromptRedactor {
+  constructor() {
+    this.values = new Map();       // placeholder -> original value
+    this.placeholders = new Map(); // type + value -> placeholder, so a value keeps its name
+    this.counters = {};            // placeholder name -> last number used
+
+    this.names = {
+      email: 'EMAIL',
+      phone: 'PHONE',
+      intlPhone: 'PHONE',
+      ssn: 'SSN',
+      creditCard: 'CARD',
+      ipAddress: 'IP',
+      apiKeys: 'API_KEY',
+      awsAccessKeyId: 'AWS_KEY',
+      awsSecretAccessKey: 'AWS_SECRET',
+      highEntropySecret: 'SECRET'
+    };
+  }
+
+  // emailAddress -> EMAIL_ADDRESS, custom_employeeId -> EMPLOYEE_ID
+  getName(type) {
+    return this.names[type] || type
+      .replace(/^custom_/, '')
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .replace(/[^A-Za-z0-9]+/g, '_')
+      .toUpperCase();
+  }
+
+  getPlaceholder(type, value) {
+    const key = `${type}\u0000${value}`;
+    if (!this.placeholders.has(key)) {
+      const name = this.getName(type);
+      this.counters[name] = (this.counters[name] || 0) + 1;
+      const placeholder = `[${name}_${this.counters[name]}]`;
+      this.placeholders.set(key, placeholder);
+      this.values.set(placeholder, value);
+    }
+    return this.placeholders.get(key);
+  }
+
+  // redactions: [{ type, label, values }] from the background's verdict. Values are also
+  // replaced in their JSON-escaped and URL-encoded forms, so request bodies are covered.
+  // Returns { text, applied: [{ type, label, placeholder }] } without the values.
+  redact(text, redactions = []) {
+    const targets = redactions
+      .flatMap(({ type, label, values }) => values.map(value => ({ type, label, value })))
+      .sort((a, b) => b.value.length - a.value.length); // Longer values first: no partial overlaps
+
+    const applied = [];
+    for (const { type, label, value } of targets) {
+      if (!value) continue;
+
+      const placeholder = this.getPlaceholder(type, value);
+      const before = text;
+      for (const form of PromptRedactor.encodings(value)) {
+        text = text.split(form).join(placeholder);
+      }
+      // Composers may turn spaces into non-breaking ones or join lines
+      if (/\s/.test(value)) {
+        const pattern = value.trim().split(/\s+/).map(PromptRedactor.escapeRegExp).join('\\s+');
+        text = text.replace(new RegExp(pattern, 'g'), placeholder);
+      }
+      if (text !== before && !applied.some(item => item.placeholder === placeholder)) {
+        applied.push({ type, label, placeholder });
+      }
+    }
+    return { text, applied };
+  }
+
+  static encodings(value) {
+    const json = JSON.stringify(value).slice(1, -1);
+    const unicodeEscaped = (hex) => json.replace(/[^\x20-\x7e]/g, char =>
+      `\\u${hex(char.charCodeAt(0).toString(16).padStart(4, '0'))}`);
+    return Array.from(new Set([
+      value,
+      json,
+      json.replace(/\//g, '\\/'),
+      unicodeEscaped(hex => hex),
+      unicodeEscaped(hex => hex.toUpperCase()),
+      encodeURIComponent(value),
+      encodeURIComponent(value).replace(/%20/g, '+')
+    ]));
+  }
+
+  // Values of the redactions still present in the text after redact(), in any form the
+  // text may carry them (plain, JSON-escaped including \uXXXX, URL-encoded). A value that
+  // was not found in the form it was sent in would leave with the prompt, so callers
+  // block the send when this is not empty.
+  findLeaks(text, redactions = []) {
+    const collapse = (value) => value.replace(/\s+/g, ' ');
+    const views = PromptRedactor.decodings(text).map(collapse);
+    return redactions
+      .flatMap(({ values }) => values)
+      .filter(value => value && views.some(view => view.includes(collapse(value))));
+  }
+
+  static escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  static decodings(text) {
+    const escapes = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+    const unescaped = text.replace(/\\(?:u([0-9a-fA-F]{4})|(["\\/bfnrt]))/g, (match, hex, char) =>
+      hex ? String.fromCharCode(parseInt(hex, 16)) : (escapes[char] || char));
+
+    const views = [text, unescaped];
+    for (const view of [text, unescaped]) {
+      try {
+        views.push(decodeURIComponent(view.replace(/\+/g, ' ')));
+      } catch (error) {
+        // Not URL-encoded (a stray %)
+      }
+    }
+    return views;
+  }
+
+  // Placeholders back to values (for display on this page only)
+  restore(text) {
+    return text.replace(/\[[A-Z0-9_]+_\d+\]/g, placeholder =>
+      this.values.has(placeholder) ? this.values.get(placeholder) : placeholder
+    );
+  }
+
+  // Values back to placeholders, for text read from a restored reply before it is logged
+  conceal(text) {
+    const entries = Array.from(this.values.entries()).sort((a, b) => b[1].length - a[1].length);
+    return entries.reduce((result, [placeholder, value]) => result.split(value).join(placeholder), text);
+  }
+
+  // Restores placeholders in an element's text nodes, leaving its markup alone
+  restoreElement(element) {
+    if (this.values.size === 0) return;
+
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (!node.data.includes('[')) continue;
+      const restored = this.restore(node.data);
+      if (restored !== node.data) node.data = restored;
+    }
+  }
+}
@@ -0,0 +1,138 @@
+// provider-access-policy.js - Sanctioned, monitored and prohibited LLM providers
+// Each provider adapter is classified on the settings page (providerPolicies, by adapter
+// id) or by managed policy, which wins per adapter. Prohibited providers are enforced with
+// dynamic declarativeNetRequest rules: their pages redirect to blocked.html (or are
+// blocked outright when prohibitedAction is 'block') and their other requests are blocked,
+// limited to the adapter's entryPaths and apiPaths on hosts shared with other services. Sanctioned and monitored providers are captured as before; the first
+// sanctioned web provider is the approved assistant unless approvedAssistantUrl is set.
+
+class ProviderAccessPolicy {
+  constructor() {
+    this.classifications = ['sanctioned', 'monitored', 'prohibited'];
+    this.defaultClassification = 'monitored';
+    this.blockedPage = '/blocked.html';
+
+    this.settings = { providerPolicies: {}, approvedAssistantUrl: '', prohibitedAction: 'redirect' };
+    this.managed = {};
+  }
+
+  async loadManaged() {
+    try {
+      this.managed = await chrome.storage.managed.get([
+        'providerPolicies',
+        'approvedAssistantUrl',
+        'prohibitedAction'
+      ]);
+    } catch (error) {
+      console.error('Failed to read managed provider policies:', error);
+    }
+  }
+
+  configure(settings) {
+    this.settings = {
+      providerPolicies: settings.providerPolicies || {},
+      approvedAssistantUrl: settings.approvedAssistantUrl || '',
+      prohibitedAction: settings.prohibitedAction || 'redirect'
+    };
+  }
+
+  classify(adapter) {
+    const managed = this.managed.providerPolicies || {};
+    return [managed[adapter.id], this.settings.providerPolicies[adapter.id]]
+      .find(value => this.classifications.includes(value)) || this.defaultClassification;
+  }
+
+  // Classified by managed policy, so the settings page cannot change it
+  isLocked(adapter) {
+    return this.classifications.includes((this.managed.providerPolicies || {})[adapter.id]);
+  }
+
+  getProhibitedAction() {
+    return [this.managed.prohibitedAction, this.settings.prohibitedAction]
+      .find(value => value === 'redirect' || value === 'block') || 'redirect';
+  }
+
+  getApprovedAssistantUrl(adapters) {
+    const configured = this.managed.approvedAssistantUrl || this.settings.approvedAssistantUrl;
+    if (configured) return configured;
+
+    const sanctioned = adapters.find(adapter =>
+      adapter.type === 'web' && adapter.hosts.length > 0 && this.classify(adapter) === 'sanctioned'
+    );
+    return sanctioned ? `https://${sanctioned.hosts[0]}/` : null;
+  }
+
+  // For the settings page and the block page
+  describe(adapters) {
+    return {
+      classifications: Object.fromEntries(adapters.map(adapter => [adapter.id, this.classify(adapter)])),
+      locked: adapters.filter(adapter => this.isLocked(adapter)).map(adapter => adapter.id),
+      prohibitedAction: this.getProhibitedAction(),
+      approvedAssistantUrl: this.getApprovedAssistantUrl(adapters)
+    };
+  }
+
+  // Two rules per prohibited adapter: its pages (main_frame) and its other requests. An
+  // adapter with entryPaths only has those pages redirected (none for an empty list, when
+  // the AI is a feature of a larger product), and one with apiPaths only has those requests
+  // blocked, so the rest of a shared host (Bing search, Notion pages) keeps working. Hosts
+  // of allowed adapters below a prohibited host (api.perplexity.ai under perplexity.ai) are
+  // excluded, so they keep working.
+  buildRules(adapters) {
+    const prohibited = adapters.filter(adapter =>
+      adapter.hosts.length > 0 && this.classify(adapter) === 'prohibited'
+    );
+    const allowedHosts = adapters
+      .filter(adapter => this.classify(adapter) !== 'prohibited')
+      .flatMap(adapter => adapter.hosts);
+    const redirect = this.getProhibitedAction() === 'redirect';
+
+    const rules = [];
+    for (const adapter of prohibited) {
+      const condition = { requestDomains: adapter.hosts };
+      const excluded = allowedHosts.filter(host =>
+        !adapter.hosts.includes(host) && adapter.hosts.some(parent => host.endsWith(`.${parent}`))
+      );
+      if (excluded.length > 0) condition.excludedRequestDomains = excluded;
+
+      const entryFilter = this.pathFilter(adapter.entryPaths);
+      if (!adapter.entryPaths || entryFilter) {
+        rules.push({
+          id: rules.length + 1,
+          priority: 1,
+          action: redirect && adapter.type === 'web' ?
+            {
+              type: 'redirect',
+              redirect: { extensionPath: `${this.blockedPage}?provider=${encodeURIComponent(adapter.id)}` }
+            } :
+            { type: 'block' },
+          condition: { ...condition, ...(entryFilter && { regexFilter: entryFilter }), resourceTypes: ['main_frame'] }
+        });
+      }
+
+      // Without resourceTypes a rule matches every type except main_frame
+      const apiFilter = this.pathFilter(adapter.apiPaths);
+      rules.push({
+        id: rules.length + 1,
+        priority: 1,
+        action: { type: 'block' },
+        condition: apiFilter ? { ...condition, regexFilter: apiFilter } : condition
+      });
+    }
+    return rules;
+  }
+
+  // A regexFilter (matched against the whole URL) for adapter path patterns, which match the
+  // pathname: '^/api/' becomes a path prefix, other patterns may start anywhere in the path,
+  // and a closing '$' still allows a query. Null without patterns.
+  pathFilter(paths) {
+    if (!paths || paths.length === 0) return null;
+
+    const pieces = paths.map(path => {
+      const source = typeof path === 'string' ? path : path.source;
+      const piece = source.startsWith('^') ? source.slice(1) : `[^?#]*${source}`;
+      return /[^\\]\$$/.test(piece) ? `${piece.slice(0, -1)}(?:[?#].*)?$` : piece;
+    });
+    return `^[a-z]+://[^/]+(?:${pieces.join('|')})`;
+  }
+}
@@ -0,0 +1,303 @@
+// provider-adapters.js - Declarative provider adapter registry
+// Each LLM provider is one entry of data: the hosts it is served from, the API paths the
+// page hooks capture, composer and response selectors for the content script, the DOM
+// signal that a reply is still streaming, the payload parser (payload-parsers.js) for its
+// request bodies and the socket frame decoder (injected.js). entryPaths limits which pages
+// a prohibited provider's policy redirects on a host it shares with other services (an
+// empty list: none, the AI is part of the product). Loaded in the service worker,
+// the content script and the page (before injected.js); adding a provider means adding
+// one entry here. Paths are regular expression sources so entries stay plain JSON.
+
+const PROVIDER_ADAPTERS = [
+  // OpenAI
+  {
+    id: 'chatgpt',
+    provider: 'OpenAI ChatGPT',
+    type: 'web',
+    hosts: ['chatgpt.com', 'chat.openai.com'],
+    apiPaths: ['^/backend-api/(?:f/)?conversation$'],
+    payloadParser: 'chatgpt-conversation',
+    composerSelectors: ['#prompt-textarea', 'div.ProseMirror[contenteditable="true"]', 'textarea[data-id="root"]'],
+    sendButtonSelectors: ['[data-testid="send-button"]', '#composer-submit-button', 'button[aria-label*="Send" i]'],
+    responseSelectors: ['[data-message-author-role="assistant"]'],
+    streamingSelector: '.result-streaming, .streaming-animation'
+  },
+  {
+    id: 'openai-api',
+    provider: 'OpenAI',
+    type: 'api',
+    hosts: ['api.openai.com'],
+    payloadParser: 'openai-chat-completions'
+  },
+
+  // Anthropic
+  {
+    id: 'claude',
+    provider: 'Anthropic Claude',
+    type: 'web',
+    hosts: ['claude.ai'],
+    apiPaths: ['/chat_conversations/[^/]+/(?:retry_)?completion$'],
+    payloadParser: 'claude-completion',
+    composerSelectors: ['div.ProseMirror[contenteditable="true"]', '[data-testid="chat-input"]', 'fieldset div[contenteditable="true"]'],
+    sendButtonSelectors: ['button[aria-label="Send message"]', 'button[aria-label*="Send" i]'],
+    responseSelectors: ['.font-claude-message', '[data-is-streaming]'],
+    streamingSelector: '[data-is-streaming="true"]'
+  },
+  {
+    id: 'anthropic-api',
+    provider: 'Anthropic',
+    type: 'api',
+    hosts: ['api.anthropic.com'],
+    payloadParser: 'anthropic-messages'
+  },
+
+  // Google
+  {
+    id: 'gemini',
+    provider: 'Google Gemini',
+    type: 'web',
+    hosts: ['gemini.google.com'],
+    apiPaths: ['/data/(?:batchexecute|assistant\\.lamda\\.BardFrontendService/StreamGenerate)$'],
+    payloadParser: 'gemini-batchexecute',
+    composerSelectors: ['rich-textarea div[contenteditable="true"]', 'rich-textarea .ql-editor', 'textarea[aria-label*="prompt" i]'],
+    sendButtonSelectors: ['button.send-button', 'button[aria-label*="Send" i]'],
+    responseSelectors: ['model-response .model-response-text', '.model-response-text', '[data-test-id*="response"]'],
+    streamingSelector: '[aria-busy="true"]'
+  },
+  {
+    id: 'bard',
+    provider: 'Google Bard',
+    type: 'web',
+    hosts: ['bard.google.com'],
+    apiPaths: ['/data/(?:batchexecute|assistant\\.lamda\\.BardFrontendService/StreamGenerate)$'],
+    payloadParser: 'gemini-batchexecute',
+    composerSelectors: ['rich-textarea div[contenteditable="true"]', 'rich-textarea .ql-editor'],
+    sendButtonSelectors: ['button.send-button', 'button[aria-label*="Send" i]'],
+    responseSelectors: ['.model-response-text', '[data-test-id*="response"]']
+  },
+  {
+    id: 'google-ai',
+    provider: 'Google AI',
+    type: 'web',
+    hosts: ['ai.google.com'],
+    responseSelectors: ['.response-container-content', '[class*="assistant-response"]']
+  },
+  {
+    id: 'aistudio',
+    provider: 'Google AI Studio',
+    type: 'web',
+    hosts: ['aistudio.google.com'],
+    composerSelectors: ['ms-prompt-input-wrapper textarea', 'textarea[aria-label*="prompt" i]'],
+    sendButtonSelectors: ['run-button button', 'button[aria-label="Run"]'],
+    responseSelectors: ['[data-testid="model-response"]', '.model-output', '.response-text']
+  },
+  {
+    id: 'makersuite',
+    provider: 'Google MakerSuite',
+    type: 'web',
+    hosts: ['makersuite.google.com'],
+    responseSelectors: ['.prompt-response', '[data-response-id]']
+  },
+  {
+    id: 'gemini-api',
+    provider: 'Google Gemini API',
+    type: 'api',
+    hosts: ['generativelanguage.googleapis.com'],
+    payloadParser: 'gemini-generate-content'
+  },
+
+  // Microsoft
+  {
+    id: 'copilot',
+    provider: 'Microsoft Copilot',
+    type: 'web',
+    hosts: ['copilot.microsoft.com'],
+    frameDecoder: 'copilot',
+    composerSelectors: ['textarea#userInput', 'textarea[placeholder*="Copilot" i]'],
+    sendButtonSelectors: ['button[aria-label*="Submit" i]', 'button[aria-label*="Send" i]'],
+    responseSelectors: ['[data-content="ai-message"]', '[class*="response-message"]', '.ac-textBlock']
+  },
+  {
+    id: 'bing',
+    provider: 'Microsoft Bing Chat',
+    type: 'web',
+    hosts: ['bing.com', 'www.bing.com'],
+    apiPaths: ['^/(?:turing|sydney)/', '/ChatHub'],
+    entryPaths: ['^/chat'],
+    frameDecoder: 'copilot',
+    responseSelectors: ['.ac-textBlock', '.cib-serp-main']
+  },
+
+  // Meta
+  {
+    id: 'meta-ai',
+    provider: 'Meta AI',
+    type: 'web',
+    hosts: ['meta.ai'],
+    responseSelectors: ['[data-testid="message-container"]', '[role="article"]']
+  },
+  {
+    id: 'llama',
+    provider: 'Meta Llama',
+    type: 'web',
+    hosts: ['llama.meta.com']
+  },
+
+  // Other chat services
+  {
+    id: 'youcom',
+    provider: 'You.com',
+    type: 'web',
+    hosts: ['you.com'],
+    apiPaths: ['^/api/'],
+    responseSelectors: ['.youChatAnswer', '[data-testid="chat-turn"]', '[class*="ai-response"]']
+  },
+  {
+    id: 'characterai',
+    provider: 'Character.AI',
+    type: 'web',
+    hosts: ['character.ai', 'beta.character.ai'],
+    frameDecoder: 'characterai',
+    responseSelectors: ['[data-testid="message"]', '[class*="character-message"]', '[class*="ChatMessage"]']
+  },
+  {
+    id: 'poe',
+    provider: 'Poe by Quora',
+    type: 'web',
+    hosts: ['poe.com'],
+    responseSelectors: ['[data-testid="botMessage"]', '[class*="Message_botMessageBubble"]']
+  },
+  {
+    id: 'pi',
+    provider: 'Inflection Pi',
+    type: 'web',
+    hosts: ['pi.ai']
+  },
+  {
+    id: 'perplexity',
+    provider: 'Perplexity',
+    type: 'web',
+    hosts: ['perplexity.ai', 'www.perplexity.ai'],
+    apiPaths: ['^/rest/sse/']
+  },
+  {
+    id: 'mistral-chat',
+    provider: 'Mistral Chat',
+    type: 'web',
+    hosts: ['chat.mistral.ai']
+  },
+
+  // API endpoints
+  {
+    id: 'cohere-api',
+    provider: 'Cohere',
+    type: 'api',
+    hosts: ['api.cohere.ai']
+  },
+  {
+    id: 'mistral-api',
+    provider: 'Mistral',
+    type: 'api',
+    hosts: ['api.mistral.ai'],
+    payloadParser: 'openai-chat-completions'
+  },
+  {
+    id: 'perplexity-api',
+    provider: 'Perplexity',
+    type: 'api',
+    hosts: ['api.perplexity.ai'],
+    payloadParser: 'openai-chat-completions'
+  },
+
+  // Content creation tools with AI
+  { id: 'writesonic', provider: 'Writesonic', type: 'web', hosts: ['app.writesonic.com'] },
+  { id: 'jasper', provider: 'Jasper', type: 'web', hosts: ['app.jasper.ai'] },
+  { id: 'copyai', provider: 'Copy.ai', type: 'web', hosts: ['app.copy.ai'] },
+  { id: 'grammarly', provider: 'Grammarly AI', type: 'web', hosts: ['app.grammarly.com'] },
+  {
+    id: 'notion',
+    provider: 'Notion AI',
+    type: 'web',
+    hosts: ['www.notion.so'],
+    apiPaths: ['^/api/v3/(?:getCompletion|runInferenceTranscript)$'],
+    entryPaths: []
+  },
+
+  // Development/code AI
+  { id: 'huggingface', provider: 'Hugging Face', type: 'web', hosts: ['huggingface.co'] },
+  { id: 'replicate', provider: 'Replicate', type: 'web', hosts: ['replicate.com', 'api.replicate.com'] },
+  {
+    id: 'together',
+    provider: 'Together AI',
+    type: 'web',
+    hosts: ['together.ai', 'api.together.ai'],
+    payloadParser: 'openai-chat-completions'
+  }
+];
+
+class ProviderRegistry {
+  constructor(adapters = PROVIDER_ADAPTERS) {
+    // Pages that match no adapter (or adapters without selectors of their own)
+    this.generic = {
+      id: 'generic',
+      provider: 'Unknown LLM Service',
+      type: 'web',
+      hosts: [],
+      composerSelectors: ['textarea', 'div[contenteditable="true"]', 'input[type="text"]'],
+      sendButtonSelectors: ['button[type="submit"]', 'button[aria-label*="Send" i]', 'button[data-testid*="send" i]'],
+      responseSelectors: ['[data-message-author-role="assistant"]', '[data-role="assistant"]', '[data-author="assistant"]'],
+      streamingSelector: null,
+      settleTime: 1500 // Replies with no streaming signal are read once unchanged this long
+    };
+
+    this.adapters = adapters.map(adapter => this.normalize(adapter));
+  }
+
+  normalize(adapter) {
+    return {
+      ...this.generic,
+      payloadParser: null,
+      frameDecoder: null,
+      ...adapter,
+      apiPaths: adapter.apiPaths ? adapter.apiPaths.map(path => new RegExp(path)) : null
+    };
+  }
+
+  // An exact host wins over a parent domain (api.perplexity.ai over perplexity.ai)
+  findByHost(hostname) {
+    const host = String(hostname).toLowerCase();
+    let best = null;
+    let bestLength = 0;
+
+    for (const adapter of this.adapters) {
+      for (const candidate of adapter.hosts) {
+        if (host === candidate) return adapter;
+        if (host.endsWith(`.${candidate}`) && candidate.length > bestLength) {
+          best = adapter;
+          bestLength = candidate.length;
+        }
+      }
+    }
+    return best;
+  }
+
+  // The adapter whose API paths cover this request (relative URLs resolve against base);
+  // adapters without apiPaths cover every request to their hosts
+  findByUrl(url, base) {
+    let parsed;
+    try {
+      parsed = new URL(url, base);
+    } catch (error) {
+      return null;
+    }
+
+    const adapter = this.findByHost(parsed.hostname);
+    if (!adapter) return null;
+    if (!adapter.apiPaths) return adapter;
+    return adapter.apiPaths.some(path => path.test(parsed.pathname)) ? adapter : null;
+  }
+
+  getHosts() {
+    return Array.from(new Set(this.adapters.flatMap(adapter => adapter.hosts)));
+  }
+}
@@ -0,0 +1,244 @@
+// provider-definitions.js - Remotely updatable provider adapter definitions
+// Chat UIs change their DOM every few weeks; a signed, versioned bundle of adapter entries
+// from managed storage or the corporate endpoint replaces the built-in entries with the
+// same id (and can add new ones) without a new extension build. The newest valid bundle
+// is cached and re-verified on every load; without one the built-in set is used.
+//
+// Bundle format (managed providerDefinitions, or served at providerDefinitionsUrl):
+// { "bundle": "{\"version\": 7, \"adapters\": [{ \"id\": \"chatgpt\", ... }]}",
+//   "signature": "<base64 ECDSA P-256 / SHA-256 signature of the bundle text>" }
+// The public key is managed policy providerDefinitionsKey (JWK object or base64 SPKI).
+
+class ProviderDefinitions {
+  constructor() {
+    this.adapters = PROVIDER_ADAPTERS;
+    this.version = null;      // null: built-in definitions
+    this.source = 'builtin';  // 'builtin', 'managed' or 'remote'
+    this.fetchedAt = null;
+    this.error = null;        // Why the last bundle was rejected or could not be fetched
+    this.refreshInterval = 6 * 60 * 60 * 1000;
+
+    // Fields a bundle may set on an adapter, with their expected type
+    this.adapterFields = {
+      id: 'string',
+      provider: 'string',
+      type: 'string',
+      hosts: 'array',
+      apiPaths: 'array',
+      entryPaths: 'array',
+      payloadParser: 'string',
+      frameDecoder: 'string',
+      composerSelectors: 'array',
+      sendButtonSelectors: 'array',
+      responseSelectors: 'array',
+      streamingSelector: 'string',
+      settleTime: 'number'
+    };
+  }
+
+  async getPolicy() {
+    try {
+      return await chrome.storage.managed.get([
+        'providerDefinitions',
+        'providerDefinitionsUrl',
+        'providerDefinitionsKey',
+        'corporateEndpoint'
+      ]);
+    } catch (error) {
+      console.error('Failed to read managed provider definitions:', error);
+      return {};
+    }
+  }
+
+  // Applies the newest valid bundle from policy or the cache
+  async load() {
+    const policy = await this.getPolicy();
+    const { providerDefinitionsCache: cache } = await chrome.storage.local.get(['providerDefinitionsCache']);
+
+    const candidates = [];
+    if (policy.providerDefinitions) {
+      candidates.push({ envelope: policy.providerDefinitions, source: 'managed', fetchedAt: null });
+    }
+    if (cache) candidates.push(cache);
+
+    let best = null;
+    this.error = null;
+    for (const candidate of candidates) {
+      const { definitions, error } = await this.verify(candidate.envelope, policy.providerDefinitionsKey);
+      if (error) {
+        this.error = `${candidate.source} bundle rejected: ${error}`;
+        console.error('Provider definitions:', this.error);
+        continue;
+      }
+      if (!best || definitions.version > best.definitions.version) {
+        best = { ...candidate, definitions };
+      }
+    }
+
+    if (best) {
+      this.apply(best.definitions, best.source, best.fetchedAt);
+    } else {
+      this.apply(null, 'builtin', null);
+    }
+  }
+
+  // Fetches the corporate bundle (at most once per refreshInterval unless forced);
+  // returns true when a newer version was applied
+  async refresh(force = false) {
+    const policy = await this.getPolicy();
+    const url = this.getBundleUrl(policy);
+    if (!url) return false;
+
+    const { providerDefinitionsCheckedAt = 0 } = await chrome.storage.local.get(['providerDefinitionsCheckedAt']);
+    if (!force && Date.now() - providerDefinitionsCheckedAt < this.refreshInterval) return false;
+    await chrome.storage.local.set({ providerDefinitionsCheckedAt: Date.now() });
+
+    let envelope;
+    try {
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      envelope = await response.json();
+    } catch (error) {
+      this.error = `Could not fetch ${url}: ${error.message}`;
+      console.error('Provider definitions:', this.error);
+      return false;
+    }
+
+    const { definitions, error } = await this.verify(envelope, policy.providerDefinitionsKey);
+    if (error) {
+      this.error = `remote bundle rejected: ${error}`;
+      console.error('Provider definitions:', this.error);
+      return false;
+    }
+    this.error = null;
+
+    // Never roll back to an older bundle (a replayed download or stale mirror)
+    if (this.version !== null && definitions.version <= this.version) return false;
+
+    const fetchedAt = Date.now();
+    await chrome.storage.local.set({
+      providerDefinitionsCache: { envelope, source: 'remote', fetchedAt }
+    });
+    this.apply(definitions, 'remote', fetchedAt);
+    return true;
+  }
+
+  // providerDefinitionsUrl, or provider-definitions.json next to the corporate endpoint
+  getBundleUrl(policy) {
+    try {
+      if (policy.providerDefinitionsUrl) return new URL(policy.providerDefinitionsUrl).href;
+      if (policy.corporateEndpoint) return new URL('provider-definitions.json', policy.corporateEndpoint).href;
+    } catch (error) {
+      console.error('Invalid provider definitions URL:', error);
+    }
+    return null;
+  }
+
+  apply(definitions, source, fetchedAt) {
+    this.adapters = definitions ? this.merge(definitions.adapters) : PROVIDER_ADAPTERS;
+    this.version = definitions ? definitions.version : null;
+    this.source = source;
+    this.fetchedAt = fetchedAt;
+  }
+
+  // Bundle entries override the built-in adapter with the same id field by field
+  merge(adapters) {
+    const byId = new Map(PROVIDER_ADAPTERS.map(adapter => [adapter.id, adapter]));
+    for (const adapter of adapters) {
+      const fields = Object.fromEntries(Object.entries(adapter)
+        .filter(([field]) => this.adapterFields[field]));
+      byId.set(adapter.id, { ...byId.get(adapter.id), ...fields });
+    }
+    return Array.from(byId.values());
+  }
+
+  // Returns { definitions } or { error }
+  async verify(envelope, publicKey) {
+    if (!envelope || typeof envelope.bundle !== 'string' || typeof envelope.signature !== 'string') {
+      return { error: 'expected { bundle, signature }' };
+    }
+    if (!publicKey) return { error: 'no providerDefinitionsKey in policy' };
+
+    try {
+      const key = await ProviderDefinitions.importKey(publicKey);
+      const valid = await crypto.subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        key,
+        ProviderDefinitions.fromBase64(envelope.signature),
+        new TextEncoder().encode(envelope.bundle)
+      );
+      if (!valid) return { error: 'signature does not match' };
+
+      const definitions = JSON.parse(envelope.bundle);
+      const error = this.validateBundle(definitions);
+      return error ? { error } : { definitions };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  static importKey(publicKey) {
+    const algorithm = { name: 'ECDSA', namedCurve: 'P-256' };
+    return typeof publicKey === 'string' ?
+      crypto.subtle.importKey('spki', ProviderDefinitions.fromBase64(publicKey), algorithm, false, ['verify']) :
+      crypto.subtle.importKey('jwk', publicKey, algorithm, false, ['verify']);
+  }
+
+  static fromBase64(value) {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+  }
+
+  // Returns an error message, or null when the bundle is usable
+  validateBundle(definitions) {
+    if (!definitions || typeof definitions !== 'object') return 'bundle must be a JSON object';
+    if (!Number.isInteger(definitions.version) || definitions.version < 1) return 'version must be a positive integer';
+    if (!Array.isArray(definitions.adapters) || definitions.adapters.length === 0) {
+      return 'adapters must be a non-empty array';
+    }
+
+    const builtinIds = new Set(PROVIDER_ADAPTERS.map(adapter => adapter.id));
+    for (const adapter of definitions.adapters) {
+      if (!adapter || !/^[\w-]+$/.test(adapter.id || '')) return 'each adapter needs an id of letters, digits, _ or -';
+      if (!builtinIds.has(adapter.id) && (!adapter.provider || !adapter.hosts)) {
+        return `new adapter ${adapter.id} needs provider and hosts`;
+      }
+
+      for (const [field, expected] of Object.entries(this.adapterFields)) {
+        const value = adapter[field];
+        if (value === undefined || value === null) continue;
+
+        if (expected === 'array') {
+          if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+            return `${adapter.id}.${field} must be an array of strings`;
+          }
+        } else if (typeof value !== expected) {
+          return `${adapter.id}.${field} must be a ${expected}`;
+        }
+      }
+
+      if (adapter.hosts && !adapter.hosts.every(host => /^[a-z0-9.-]+$/i.test(host))) {
+        return `${adapter.id}.hosts must be bare host names`;
+      }
+      for (const field of ['apiPaths', 'entryPaths']) {
+        for (const path of adapter[field] || []) {
+          try {
+            new RegExp(path);
+          } catch (error) {
+            return `${adapter.id}.${field}: ${error.message}`;
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  getStatus() {
+    return {
+      version: this.version,
+      source: this.source,
+      fetchedAt: this.fetchedAt,
+      adapterCount: this.adapters.length,
+      error: this.error
+    };
+  }
+}
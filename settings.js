@@ -5,6 +5,8 @@ class SettingsManager {
     this.defaultSettings = {
       monitoringEnabled: true,
       riskThreshold: 7,
+      warnThreshold: 4,
+      enforcementMode: 'monitor',
       retentionDays: 90,
       userIdentity: '',
       providers: {
@@ -15,13 +17,21 @@ class SettingsManager {
         mistral: true
       },
       customDomains: [],
+      discoveryMode: false,
+      providerPolicies: {},
+      prohibitedAction: 'redirect',
+      approvedAssistantUrl: '',
       detectionCategories: {
         pii: true,
         secrets: true,
         code: true,
         confidential: true,
-        financial: true
+        financial: true,
+        bulk: true
       },
+      localePacks: Object.fromEntries(Object.keys(LOCALE_PACKS).map(locale => [locale, false])),
+      entropyThreshold: 4.5,
+      scoringModel: {},
       customPatterns: {},
       corporateEndpoint: '',
       apiToken: '',
@@ -33,14 +43,25 @@ class SettingsManager {
       }
     };
 
-    this.currentSettings = { ...this.defaultSettings };
+    this.currentSettings = this.mergeSettings({});
+    this.orgUnitLocalePacks = {};
+    this.policyScoringModel = {}; // Managed scoring overrides, applied as the background does
+    this.policyOrganizationUnit = ''; // Set by managed policy; the field is then read-only
+    this.engine = new DetectionEngine();
+    this.exactDataMatcher = new ExactDataMatcher();
+    this.documentFingerprinter = new DocumentFingerprinter();
     this.init();
   }
 
   async init() {
     await this.loadSettings();
+    this.renderLocalePackOptions();
     this.setupEventListeners();
     this.populateForm();
+    await this.loadEdmDictionaries();
+    await this.loadFingerprints();
+    await this.loadProviderDefinitions();
+    await this.loadDiscoveredServices();
     await this.loadStatistics();
   }
 
@@ -48,15 +69,78 @@ class SettingsManager {
     try {
       const stored = await chrome.storage.sync.get(['llmMonitorSettings']);
       if (stored.llmMonitorSettings) {
-        this.currentSettings = { 
-          ...this.defaultSettings, 
-          ...stored.llmMonitorSettings 
-        };
+        this.currentSettings = this.mergeSettings(stored.llmMonitorSettings);
       }
     } catch (error) {
       console.error('Failed to load settings:', error);
       this.showAlert('Failed to load settings', 'danger');
     }
+
+    try {
+      const { localePacksByOrgUnit = {}, scoringModel = {}, organizationUnit = '' } =
+        await chrome.storage.managed.get(['localePacksByOrgUnit', 'scoringModel', 'organizationUnit']);
+      this.orgUnitLocalePacks = localePacksByOrgUnit;
+      this.policyScoringModel = scoringModel;
+      this.policyOrganizationUnit = typeof organizationUnit === 'string' ? organizationUnit : '';
+    } catch (error) {
+      console.error('Failed to read managed locale packs:', error);
+    }
+  }
+
+  // Merge one level deep so settings saved by an older version pick up new
+  // defaults (e.g. a new detection category) without sharing default objects
+  mergeSettings(stored) {
+    const merged = {};
+
+    for (const [key, value] of Object.entries(this.defaultSettings)) {
+      const isGroup = value && typeof value === 'object' && !Array.isArray(value);
+      merged[key] = isGroup ? { ...value, ...stored[key] } : (stored[key] ?? value);
+    }
+
+    // Custom patterns and scoring overrides are user-defined maps, not defaults plus overrides
+    merged.customPatterns = { ...(stored.customPatterns || {}) };
+    merged.scoringModel = { ...(stored.scoringModel || {}) };
+    merged.customDomains = (stored.customDomains || []).map(entry => this.normalizeCustomDomain(entry));
+    return merged;
+  }
+
+  // Custom domains are { domain, provider, type }; older settings stored bare hosts
+  normalizeCustomDomain(entry) {
+    const { domain, provider, type } = typeof entry === 'string' ? { domain: entry } : entry;
+    return { domain, provider: provider || domain, type: type === 'api' ? 'api' : 'web' };
+  }
+
+  // One "domain, provider name, web|api" per line; URLs are reduced to their host
+  parseCustomDomains(text) {
+    return text
+      .split('\n')
+      .map(line => line.split(',').map(part => part.trim()))
+      .filter(([domain]) => domain)
+      .map(([domain, provider, type]) => {
+        let host = domain.toLowerCase();
+        try {
+          host = host.includes('://') ? new URL(host).hostname : host.split(/[/:]/)[0];
+        } catch (error) {
+          // Kept as typed
+        }
+        return this.normalizeCustomDomain({ domain: host, provider, type: (type || '').toLowerCase() });
+      });
+  }
+
+  formatCustomDomains(customDomains) {
+    return customDomains.map(entry => `${entry.domain}, ${entry.provider}, ${entry.type}`).join('\n');
+  }
+
+  // Custom domains are only monitored once their optional host permission is granted;
+  // must run inside the click that saves them
+  async requestCustomDomainAccess() {
+    const origins = this.currentSettings.customDomains.map(entry => `*://${entry.domain}/*`);
+    if (origins.length === 0) return;
+
+    const granted = await chrome.permissions.request({ origins });
+    if (!granted) {
+      this.showAlert('Custom domains are saved but not monitored until access to them is allowed', 'danger');
+    }
   }
 
   async saveSettings() {
@@ -82,6 +166,9 @@ class SettingsManager {
     document.getElementById('monitoringEnabled').checked = this.currentSettings.monitoringEnabled;
     document.getElementById('riskThreshold').value = this.currentSettings.riskThreshold;
     document.getElementById('thresholdValue').textContent = this.currentSettings.riskThreshold;
+    document.getElementById('warnThreshold').value = this.currentSettings.warnThreshold;
+    document.getElementById('warnThresholdValue').textContent = this.currentSettings.warnThreshold;
+    document.getElementById('enforcementMode').value = this.currentSettings.enforcementMode;
     document.getElementById('retentionDays').value = this.currentSettings.retentionDays;
     document.getElementById('userIdentity').value = this.currentSettings.userIdentity;
 
@@ -94,7 +181,10 @@ class SettingsManager {
     });
 
     document.getElementById('customDomains').value = 
-      this.currentSettings.customDomains.join('\n');
+      this.formatCustomDomains(this.currentSettings.customDomains);
+    document.getElementById('discoveryMode').checked = this.currentSettings.discoveryMode;
+    document.getElementById('prohibitedAction').value = this.currentSettings.prohibitedAction;
+    document.getElementById('approvedAssistantUrl').value = this.currentSettings.approvedAssistantUrl;
 
     // Detection categories
     Object.keys(this.currentSettings.detectionCategories).forEach(category => {
@@ -104,13 +194,32 @@ class SettingsManager {
       }
     });
 
+    Object.keys(this.currentSettings.localePacks).forEach(locale => {
+      const element = document.getElementById(`locale-${locale}`);
+      if (element) {
+        element.checked = this.currentSettings.localePacks[locale];
+      }
+    });
+    this.renderLocalePolicyNote();
+
+    document.getElementById('entropyThreshold').value = this.currentSettings.entropyThreshold;
+    document.getElementById('entropyValue').textContent = this.currentSettings.entropyThreshold;
+
     document.getElementById('customPatterns').value = 
       JSON.stringify(this.currentSettings.customPatterns, null, 2);
 
+    document.getElementById('scoringModel').value = 
+      JSON.stringify(this.currentSettings.scoringModel, null, 2);
+
+    this.renderPatternList();
+
     // Corporate integration
     document.getElementById('corporateEndpoint').value = this.currentSettings.corporateEndpoint;
     document.getElementById('apiToken').value = this.currentSettings.apiToken;
-    document.getElementById('organizationUnit').value = this.currentSettings.organizationUnit;
+    const organizationUnitInput = document.getElementById('organizationUnit');
+    organizationUnitInput.value = this.getOrganizationUnit();
+    organizationUnitInput.readOnly = Boolean(this.policyOrganizationUnit);
+    organizationUnitInput.title = this.policyOrganizationUnit ? 'Set by managed policy' : '';
 
     // Alert preferences
     Object.keys(this.currentSettings.alerts).forEach(alertType => {
@@ -121,10 +230,73 @@ class SettingsManager {
     });
   }
 
+  renderLocalePackOptions() {
+    const localePackList = document.getElementById('localePackList');
+    localePackList.innerHTML = '';
+
+    Object.entries(LOCALE_PACKS).forEach(([locale, pack]) => {
+      const group = document.createElement('div');
+      group.className = 'checkbox-group';
+
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.id = `locale-${locale}`;
+
+      const label = document.createElement('label');
+      label.htmlFor = input.id;
+      label.textContent = `${pack.label} - ${pack.regulation}`;
+
+      group.append(input, label);
+      localePackList.appendChild(group);
+    });
+  }
+
+  // The managed policy unit wins over the one entered here, as in the background
+  getOrganizationUnit() {
+    return this.policyOrganizationUnit || this.currentSettings.organizationUnit;
+  }
+
+  // Policy can assign packs per organizational unit, overriding the checkboxes
+  renderLocalePolicyNote() {
+    const note = document.getElementById('localePolicyNote');
+    const organizationUnit = this.getOrganizationUnit();
+    const managedPacks = this.orgUnitLocalePacks[organizationUnit];
+
+    if (organizationUnit && Array.isArray(managedPacks)) {
+      note.textContent = `Managed by policy for ${organizationUnit}: ${managedPacks.join(', ') || 'none'}`;
+      note.classList.remove('hidden');
+    } else {
+      note.classList.add('hidden');
+    }
+  }
+
+  renderPatternList() {
+    const patternList = document.getElementById('patternList');
+    patternList.innerHTML = '';
+
+    this.engine.describeRules().forEach(rule => {
+      const item = document.createElement('div');
+      item.className = 'pattern-item';
+
+      const name = document.createElement('span');
+      name.className = 'pattern-name';
+      name.textContent = rule.locale ? `${rule.label} (${rule.locale.toUpperCase()} pack)` : rule.label;
+
+      const regex = document.createElement('span');
+      regex.className = 'pattern-regex';
+      regex.textContent = rule.source;
+
+      item.append(name, regex);
+      patternList.appendChild(item);
+    });
+  }
+
   collectFormData() {
     // General settings
     this.currentSettings.monitoringEnabled = document.getElementById('monitoringEnabled').checked;
     this.currentSettings.riskThreshold = parseInt(document.getElementById('riskThreshold').value);
+    this.currentSettings.warnThreshold = parseInt(document.getElementById('warnThreshold').value);
+    this.currentSettings.enforcementMode = document.getElementById('enforcementMode').value;
     this.currentSettings.retentionDays = parseInt(document.getElementById('retentionDays').value);
     this.currentSettings.userIdentity = document.getElementById('userIdentity').value;
 
@@ -136,11 +308,19 @@ class SettingsManager {
       }
     });
 
-    const customDomains = document.getElementById('customDomains').value
-      .split('\n')
-      .map(domain => domain.trim())
-      .filter(domain => domain.length > 0);
-    this.currentSettings.customDomains = customDomains;
+    this.currentSettings.customDomains = this.parseCustomDomains(document.getElementById('customDomains').value);
+    this.currentSettings.discoveryMode = document.getElementById('discoveryMode').checked;
+    this.currentSettings.prohibitedAction = document.getElementById('prohibitedAction').value;
+    this.currentSettings.approvedAssistantUrl = document.getElementById('approvedAssistantUrl').value.trim();
+
+    // Only settings page choices are saved; providers classified by policy are disabled
+    document.querySelectorAll('#providerPolicyList select:not(:disabled)').forEach(select => {
+      if (select.value === 'monitored') {
+        delete this.currentSettings.providerPolicies[select.dataset.adapter];
+      } else {
+        this.currentSettings.providerPolicies[select.dataset.adapter] = select.value;
+      }
+    });
 
     // Detection categories
     Object.keys(this.currentSettings.detectionCategories).forEach(category => {
@@ -150,6 +330,15 @@ class SettingsManager {
       }
     });
 
+    Object.keys(this.currentSettings.localePacks).forEach(locale => {
+      const element = document.getElementById(`locale-${locale}`);
+      if (element) {
+        this.currentSettings.localePacks[locale] = element.checked;
+      }
+    });
+
+    this.currentSettings.entropyThreshold = parseFloat(document.getElementById('entropyThreshold').value);
+
     // Custom patterns
     try {
       const customPatternsText = document.getElementById('customPatterns').value;
@@ -160,10 +349,23 @@ class SettingsManager {
       return false;
     }
 
+    // Scoring model overrides
+    try {
+      const scoringModelText = document.getElementById('scoringModel').value;
+      this.currentSettings.scoringModel = scoringModelText ? 
+        JSON.parse(scoringModelText) : {};
+    } catch (error) {
+      this.showAlert('Invalid JSON in risk scoring model', 'danger');
+      return false;
+    }
+
     // Corporate integration
     this.currentSettings.corporateEndpoint = document.getElementById('corporateEndpoint').value;
     this.currentSettings.apiToken = document.getElementById('apiToken').value;
-    this.currentSettings.organizationUnit = document.getElementById('organizationUnit').value;
+    // A policy value is shown read-only and not copied into the user's own setting
+    if (!this.policyOrganizationUnit) {
+      this.currentSettings.organizationUnit = document.getElementById('organizationUnit').value;
+    }
 
     // Alert preferences
     Object.keys(this.currentSettings.alerts).forEach(alertType => {
@@ -182,9 +384,18 @@ class SettingsManager {
       document.getElementById('thresholdValue').textContent = e.target.value;
     });
 
+    document.getElementById('warnThreshold').addEventListener('input', (e) => {
+      document.getElementById('warnThresholdValue').textContent = e.target.value;
+    });
+
+    document.getElementById('entropyThreshold').addEventListener('input', (e) => {
+      document.getElementById('entropyValue').textContent = e.target.value;
+    });
+
     // Save button
     document.getElementById('saveBtn').addEventListener('click', async () => {
       if (this.collectFormData()) {
+        await this.requestCustomDomainAccess();
         await this.saveSettings();
       }
     });
@@ -202,7 +413,7 @@ class SettingsManager {
     // Reset to defaults
     document.getElementById('resetSettingsBtn').addEventListener('click', async () => {
       if (confirm('Are you sure you want to reset all settings to defaults? This cannot be undone.')) {
-        this.currentSettings = { ...this.defaultSettings };
+        this.currentSettings = this.mergeSettings({});
         this.populateForm();
         await this.saveSettings();
       }
@@ -220,6 +431,32 @@ class SettingsManager {
       }
     });
 
+    // Exact data match dictionary upload
+    document.getElementById('edmUpload').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        await this.uploadEdmDictionary(file);
+      }
+      e.target.value = '';
+    });
+
+    // Document fingerprint registration
+    document.getElementById('fingerprintFile').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      document.getElementById('fingerprintText').value = await file.text();
+      const nameInput = document.getElementById('fingerprintName');
+      if (!nameInput.value.trim()) {
+        nameInput.value = file.name.replace(/\.[^.]+$/, '');
+      }
+      e.target.value = '';
+    });
+
+    document.getElementById('registerFingerprintBtn').addEventListener('click', async () => {
+      await this.registerFingerprint();
+    });
+
     // Test detection
     document.getElementById('testDetectionBtn').addEventListener('click', () => {
       this.testDetection();
@@ -229,6 +466,143 @@ class SettingsManager {
     document.getElementById('testConnectionBtn').addEventListener('click', () => {
       this.testCorporateConnection();
     });
+
+    // Discovery watches every site, so it needs the optional all-sites permission
+    document.getElementById('discoveryMode').addEventListener('change', async (e) => {
+      if (!e.target.checked) return;
+      const granted = await chrome.permissions.request({ origins: ['<all_urls>'] });
+      if (!granted) {
+        e.target.checked = false;
+        this.showAlert('Shadow AI discovery needs access to all sites', 'danger');
+      }
+    });
+
+    document.getElementById('refreshDefinitionsBtn').addEventListener('click', async () => {
+      const response = await chrome.runtime.sendMessage({ type: 'REFRESH_PROVIDER_DEFINITIONS' });
+      if (response && response.status) this.renderProviderDefinitions(response.status);
+    });
+  }
+
+  async loadProviderDefinitions() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_PROVIDER_DEFINITIONS' });
+      if (response && response.status) this.renderProviderDefinitions(response.status);
+      if (response && response.policy) this.renderProviderPolicies(response.adapters, response.policy);
+    } catch (error) {
+      console.error('Failed to load provider definitions:', error);
+    }
+  }
+
+  // One row per provider adapter with its classification; policy-set rows are read-only
+  renderProviderPolicies(adapters, policy) {
+    const list = document.getElementById('providerPolicyList');
+    list.innerHTML = '';
+
+    const labels = { sanctioned: 'Sanctioned', monitored: 'Monitored', prohibited: 'Prohibited' };
+    adapters.forEach(adapter => {
+      const item = document.createElement('div');
+      item.className = 'pattern-item';
+
+      const name = document.createElement('span');
+      name.className = 'pattern-name';
+      name.textContent = adapter.provider;
+      name.title = adapter.hosts.join(', ');
+      item.appendChild(name);
+
+      const locked = policy.locked.includes(adapter.id);
+      const select = document.createElement('select');
+      select.dataset.adapter = adapter.id;
+      select.disabled = locked;
+      select.title = locked ? 'Set by managed policy' : adapter.hosts.join(', ');
+      Object.entries(labels).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      select.value = locked ? policy.classifications[adapter.id] :
+        (this.currentSettings.providerPolicies[adapter.id] || 'monitored');
+      item.appendChild(select);
+
+      list.appendChild(item);
+    });
+  }
+
+  renderProviderDefinitions(status) {
+    const sources = { builtin: 'built-in', managed: 'managed policy', remote: 'corporate endpoint' };
+    let text = status.version === null ?
+      `Built-in definitions (${status.adapterCount} providers)` :
+      `Version ${status.version} from ${sources[status.source]} (${status.adapterCount} providers)`;
+
+    if (status.fetchedAt) text += `, fetched ${new Date(status.fetchedAt).toLocaleString()}`;
+    if (status.error) text += `. Last update failed: ${status.error}`;
+
+    document.getElementById('providerDefinitionsStatus').textContent = text;
+  }
+
+  async loadDiscoveredServices() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_DISCOVERED_SERVICES' });
+      this.renderDiscoveredList((response && response.services) || []);
+    } catch (error) {
+      console.error('Failed to load discovered services:', error);
+    }
+  }
+
+  renderDiscoveredList(services) {
+    const discoveredList = document.getElementById('discoveredList');
+    discoveredList.innerHTML = '';
+
+    if (services.length === 0) {
+      discoveredList.innerHTML = '<div class="help-text">No unrecognized AI services discovered</div>';
+      return;
+    }
+
+    services.forEach(service => {
+      const item = document.createElement('div');
+      item.className = 'pattern-item';
+
+      const name = document.createElement('span');
+      name.className = 'pattern-name';
+      name.textContent = `${service.host}: unrecognized AI service, ${Math.round(service.confidence * 100)}% confidence ` +
+        `(${service.hits} requests, last seen ${new Date(service.lastSeen).toLocaleString()})`;
+      name.title = `Signals: ${service.signals.join(', ')}\nExample: ${service.sampleUrl}`;
+      item.appendChild(name);
+
+      const actions = document.createElement('span');
+      const promote = document.createElement('button');
+      promote.className = 'btn btn-primary';
+      promote.textContent = 'Monitor';
+      promote.addEventListener('click', () => this.promoteDiscoveredService(service.host));
+      actions.appendChild(promote);
+
+      const dismiss = document.createElement('button');
+      dismiss.className = 'btn btn-secondary';
+      dismiss.textContent = 'Dismiss';
+      dismiss.addEventListener('click', () => this.dismissDiscoveredService(service.host));
+      actions.appendChild(dismiss);
+
+      item.appendChild(actions);
+      discoveredList.appendChild(item);
+    });
+  }
+
+  // Promoted hosts become custom domains and leave the discovery list
+  async promoteDiscoveredService(host) {
+    if (!this.collectFormData()) return;
+    if (!this.currentSettings.customDomains.some(entry => entry.domain === host)) {
+      this.currentSettings.customDomains.push(this.normalizeCustomDomain({ domain: host, type: 'api' }));
+    }
+    document.getElementById('customDomains').value = this.formatCustomDomains(this.currentSettings.customDomains);
+
+    await this.requestCustomDomainAccess();
+    await this.saveSettings();
+    await this.dismissDiscoveredService(host);
+  }
+
+  async dismissDiscoveredService(host) {
+    await chrome.runtime.sendMessage({ type: 'REMOVE_DISCOVERED_SERVICE', host });
+    await this.loadDiscoveredServices();
   }
 
   async loadStatistics() {
@@ -289,8 +663,12 @@ class SettingsManager {
       'Has Secrets',
       'Has Code',
       'Total Matches',
+      'Jurisdictions',
+      'Score Breakdown',
       'User Identity',
-      'Request Method'
+      'Request Method',
+      'Conversation',
+      'Turn'
     ];
 
     const rows = logs.map(log => [
@@ -303,8 +681,12 @@ class SettingsManager {
       log.analysis ? log.analysis.hasSecrets : false,
       log.analysis ? log.analysis.hasCode : false,
       log.analysis ? log.analysis.totalMatches : 0,
+      this.formatJurisdictions(log.analysis),
+      (log.scoreBreakdown || []).join('; '),
       log.userIdentity || 'Unknown',
-      log.method || 'Unknown'
+      log.method || 'Unknown',
+      log.conversationKey || '',
+      log.turn || ''
     ]);
 
     return [headers, ...rows]
@@ -312,6 +694,14 @@ class SettingsManager {
       .join('\n');
   }
 
+  formatJurisdictions(analysis) {
+    if (!analysis || !analysis.jurisdictions) return '';
+
+    return Object.entries(analysis.jurisdictions)
+      .map(([type, tag]) => `${type}: ${tag.jurisdiction} (${tag.regulation})`)
+      .join('; ');
+  }
+
   async clearOldLogs() {
     try {
       const response = await chrome.runtime.sendMessage({
@@ -329,72 +719,214 @@ class SettingsManager {
     }
   }
 
-  testDetection() {
-    const testInput = document.getElementById('testInput').value;
-    const resultsElement = document.getElementById('testResults');
-    
-    if (!testInput.trim()) {
-      this.showTestResults('Please enter some text to test', 'warning');
+  async loadEdmDictionaries() {
+    try {
+      await this.exactDataMatcher.load();
+    } catch (error) {
+      console.error('Failed to load EDM dictionaries:', error);
+    }
+    this.renderEdmList();
+  }
+
+  renderEdmList() {
+    const edmList = document.getElementById('edmList');
+    const dictionaries = this.exactDataMatcher.describeDictionaries();
+    edmList.innerHTML = '';
+
+    if (dictionaries.length === 0) {
+      edmList.innerHTML = '<div class="help-text">No dictionaries loaded</div>';
       return;
     }
 
-    // Simulate the detection patterns from background.js
-    const sensitivePatterns = {
-      ssn: /\b\d{3}[-.]?\d{2}[-.]?\d{4}\b/g,
-      email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
-      phone: /\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/g,
-      creditCard: /\b\d{4}[-\s]?\d{4}[-\s]?\d{4}[-\s]?\d{4}\b/g,
-      ipAddress: /\b(?:[0-9]{1,3}\.){3}[0-9]{1,3}\b/g,
-      confidential: /(confidential|proprietary|internal\s+only|classified)/gi,
-      apiKeys: /(api[_-]?key|secret[_-]?key|access[_-]?token)[\s=:]["']?([a-zA-Z0-9_-]{20,})/gi,
-      sourceCode: /(function\s+\w+|def\s+\w+|class\s+\w+|import\s+\w+)/g,
-      sqlQueries: /(SELECT|INSERT|UPDATE|DELETE|CREATE|DROP)\s+/gi
-    };
+    dictionaries.forEach(dictionary => {
+      const item = document.createElement('div');
+      item.className = 'pattern-item';
 
-    const matches = {};
-    const types = [];
-    let totalMatches = 0;
-
-    // Test against each pattern
-    Object.entries(sensitivePatterns).forEach(([type, pattern]) => {
-      if (this.currentSettings.detectionCategories[type] !== false) {
-        const found = testInput.match(pattern);
-        if (found && found.length > 0) {
-          matches[type] = found;
-          types.push(type);
-          totalMatches += found.length;
-        }
+      const name = document.createElement('span');
+      name.className = 'pattern-name';
+      name.textContent = `${dictionary.name} (${dictionary.size} hashes, ${dictionary.category})`;
+      item.appendChild(name);
+
+      if (dictionary.source === 'managed') {
+        const badge = document.createElement('span');
+        badge.className = 'pattern-regex';
+        badge.textContent = 'Managed by policy';
+        item.appendChild(badge);
+      } else {
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => this.removeEdmDictionary(dictionary.name));
+        item.appendChild(remove);
       }
+
+      edmList.appendChild(item);
     });
+  }
 
-    // Test custom patterns if any
-    Object.entries(this.currentSettings.customPatterns).forEach(([name, pattern]) => {
-      try {
-        const regex = new RegExp(pattern, 'gi');
-        const found = testInput.match(regex);
-        if (found && found.length > 0) {
-          matches[`custom_${name}`] = found;
-          types.push(`custom_${name}`);
-          totalMatches += found.length;
-        }
-      } catch (error) {
-        console.error(`Invalid custom pattern ${name}:`, error);
+  async uploadEdmDictionary(file) {
+    let dictionary;
+    try {
+      dictionary = JSON.parse(await file.text());
+    } catch (error) {
+      this.showAlert('Dictionary file is not valid JSON', 'danger');
+      return;
+    }
+
+    const error = this.exactDataMatcher.validateDictionary(dictionary);
+    if (error) {
+      this.showAlert(`Invalid dictionary: ${error}`, 'danger');
+      return;
+    }
+
+    try {
+      const { edmDictionaries = [] } = await chrome.storage.local.get(['edmDictionaries']);
+      const others = edmDictionaries.filter(existing => existing.name !== dictionary.name);
+      await chrome.storage.local.set({
+        edmDictionaries: [...others, {
+          name: dictionary.name,
+          salt: dictionary.salt,
+          category: dictionary.category,
+          maxNgram: dictionary.maxNgram,
+          hashes: dictionary.hashes
+        }]
+      });
+
+      await this.loadEdmDictionaries();
+      this.showAlert(`Dictionary "${dictionary.name}" loaded (${dictionary.hashes.length} hashes)`, 'success');
+    } catch (error) {
+      console.error('Failed to store EDM dictionary:', error);
+      this.showAlert('Failed to store dictionary', 'danger');
+    }
+  }
+
+  async removeEdmDictionary(name) {
+    if (!confirm(`Remove dictionary "${name}"?`)) return;
+
+    const { edmDictionaries = [] } = await chrome.storage.local.get(['edmDictionaries']);
+    await chrome.storage.local.set({
+      edmDictionaries: edmDictionaries.filter(dictionary => dictionary.name !== name)
+    });
+    await this.loadEdmDictionaries();
+  }
+
+  async loadFingerprints() {
+    try {
+      await this.documentFingerprinter.load();
+    } catch (error) {
+      console.error('Failed to load fingerprint registry:', error);
+    }
+    this.renderFingerprintList();
+  }
+
+  renderFingerprintList() {
+    const fingerprintList = document.getElementById('fingerprintList');
+    const documents = this.documentFingerprinter.describeDocuments();
+    fingerprintList.innerHTML = '';
+
+    if (documents.length === 0) {
+      fingerprintList.innerHTML = '<div class="help-text">No documents registered</div>';
+      return;
+    }
+
+    documents.forEach(doc => {
+      const item = document.createElement('div');
+      item.className = 'pattern-item';
+
+      const name = document.createElement('span');
+      name.className = 'pattern-name';
+      name.textContent = `${doc.name} (${doc.wordCount} words)`;
+      item.appendChild(name);
+
+      if (doc.source === 'managed') {
+        const badge = document.createElement('span');
+        badge.className = 'pattern-regex';
+        badge.textContent = 'Managed by policy';
+        item.appendChild(badge);
+      } else {
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => this.removeFingerprint(doc.name));
+        item.appendChild(remove);
       }
+
+      fingerprintList.appendChild(item);
     });
+  }
 
-    // Calculate risk score
-    let riskScore = 0;
-    const hasPersonalData = types.some(t => ['ssn', 'email', 'phone', 'creditCard'].includes(t));
-    const hasSecrets = types.some(t => ['apiKeys', 'confidential'].includes(t));
-    const hasCode = types.includes('sourceCode');
+  async registerFingerprint() {
+    const name = document.getElementById('fingerprintName').value.trim();
+    const text = document.getElementById('fingerprintText').value;
 
-    if (hasPersonalData) riskScore += 5;
-    if (hasSecrets) riskScore += 8;
-    if (hasCode) riskScore += 3;
-    if (totalMatches > 5) riskScore += 2;
-    if (totalMatches > 10) riskScore += 3;
+    if (!name) {
+      this.showAlert('Enter a name for the document', 'danger');
+      return;
+    }
 
-    riskScore = Math.min(riskScore, 10);
+    let fingerprint;
+    try {
+      fingerprint = this.documentFingerprinter.createFingerprint(name, text);
+    } catch (error) {
+      this.showAlert(error.message, 'danger');
+      return;
+    }
+
+    try {
+      const { fingerprintRegistry = [] } = await chrome.storage.local.get(['fingerprintRegistry']);
+      await chrome.storage.local.set({
+        fingerprintRegistry: [...fingerprintRegistry.filter(doc => doc.name !== name), fingerprint]
+      });
+
+      document.getElementById('fingerprintName').value = '';
+      document.getElementById('fingerprintText').value = '';
+      await this.loadFingerprints();
+      this.showAlert(`Document "${name}" registered`, 'success');
+    } catch (error) {
+      console.error('Failed to store fingerprint:', error);
+      this.showAlert('Failed to register document', 'danger');
+    }
+  }
+
+  async removeFingerprint(name) {
+    if (!confirm(`Remove document "${name}" from the registry?`)) return;
+
+    const { fingerprintRegistry = [] } = await chrome.storage.local.get(['fingerprintRegistry']);
+    await chrome.storage.local.set({
+      fingerprintRegistry: fingerprintRegistry.filter(doc => doc.name !== name)
+    });
+    await this.loadFingerprints();
+  }
+
+  async testDetection() {
+    const testInput = document.getElementById('testInput').value;
+    const resultsElement = document.getElementById('testResults');
+    
+    if (!testInput.trim()) {
+      this.showTestResults('Please enter some text to test', 'warning');
+      return;
+    }
+
+    // Same engine and scoring model the background service worker uses for live traffic
+    this.engine.configureScoring(
+      this.engine.resolveScoringModel(this.currentSettings.scoringModel, this.policyScoringModel)
+    );
+    const externalMatches = await this.exactDataMatcher.match(testInput);
+    const analysis = this.engine.analyze(testInput, {
+      categories: this.currentSettings.detectionCategories,
+      locales: this.engine.resolveLocalePacks(
+        this.currentSettings.localePacks,
+        this.getOrganizationUnit(),
+        this.orgUnitLocalePacks
+      ),
+      customPatterns: this.currentSettings.customPatterns,
+      entropyThreshold: this.currentSettings.entropyThreshold,
+      externalMatches,
+      documentMatches: this.documentFingerprinter.match(testInput)
+    });
+    const { matches, types, totalMatches, weakMatches, validators } = analysis;
+
+    const { score: riskScore, breakdown } = this.engine.explainScore(analysis);
 
     // Display results
     let resultMessage = `Detection Results:\n`;
@@ -405,6 +937,29 @@ class SettingsManager {
     if (Object.keys(matches).length > 0) {
       resultMessage += 'Detected Patterns:\n';
       Object.entries(matches).forEach(([type, found]) => {
+        const check = validators[type] ? ` (${validators[type]} check passed)` : '';
+        const region = analysis.jurisdictions[type] ? ` [${analysis.jurisdictions[type].jurisdiction}]` : '';
+        resultMessage += `• ${type}: ${found.join(', ')}${check}${region}\n`;
+      });
+    }
+
+    if (breakdown.length > 0) {
+      resultMessage += '\nScore Breakdown:\n';
+      breakdown.forEach(line => {
+        resultMessage += `• ${line}\n`;
+      });
+    }
+
+    if (analysis.documentMatches.length > 0) {
+      resultMessage += '\nRegistered Document Overlap:\n';
+      analysis.documentMatches.forEach(match => {
+        resultMessage += `• ${match.document}: ${match.similarity}% of this text (${match.coverage}% of the document)\n`;
+      });
+    }
+
+    if (Object.keys(weakMatches).length > 0) {
+      resultMessage += '\nUnconfirmed (down-weighted):\n';
+      Object.entries(weakMatches).forEach(([type, found]) => {
         resultMessage += `• ${type}: ${found.join(', ')}\n`;
       });
     }
@@ -0,0 +1,130 @@
+// shadow-ai-discovery.js - Discovery of unlisted AI services ("shadow AI")
+// With discovery mode on (optional <all_urls> permission), requests to hosts that no
+// provider adapter covers are checked for LLM-shaped traffic: chat API paths, JSON bodies
+// with messages/prompt/model, event-stream responses and, from the page probe
+// (discovery-probe.js), SSE frames with choices/delta. Each host's distinct signals are
+// combined into a confidence score; admins promote hosts to monitored custom domains.
+
+class ShadowAIDiscovery {
+  constructor() {
+    this.services = {};          // host -> { host, firstSeen, lastSeen, hits, signals, confidence, sampleUrl }
+    this.maxServices = 200;
+    this.minConfidence = 0.5;    // Hosts below this are tracked but not listed
+    this.maxBodyLength = 65536;  // Bytes of a request body inspected
+
+    // Independent evidence, combined as 1 - product(1 - weight)
+    this.signalWeights = {
+      llm_api_path: 0.5,     // /v1/chat/completions, /v1/messages, /api/generate, ...
+      chat_messages: 0.4,    // messages: [{ role, content }]
+      model_field: 0.2,
+      prompt_field: 0.2,
+      stream_flag: 0.1,
+      event_stream: 0.15,    // text/event-stream response
+      sse_chat_chunks: 0.5   // choices/delta or content_block_delta frames (page probe)
+    };
+
+    this.apiPaths = [
+      /\/v1\/(?:chat\/)?completions$/,
+      /\/chat\/completions$/,
+      /\/v1\/messages$/,
+      /\/v1\/responses$/,
+      /\/api\/(?:chat|generate)$/,                       // Ollama and Open WebUI
+      /\/models\/[^/:]+:(?:stream)?[gG]enerateContent$/,
+      /\/openai\/deployments\/[^/]+\/chat\/completions$/ // Azure OpenAI
+    ];
+  }
+
+  // Never throws: the background waits on this load before logging anything
+  async load() {
+    try {
+      const { discoveredServices } = await chrome.storage.local.get(['discoveredServices']);
+      if (discoveredServices && typeof discoveredServices === 'object' && !Array.isArray(discoveredServices)) {
+        this.services = discoveredServices;
+      }
+    } catch (error) {
+      console.error('Failed to load discovered services:', error);
+    }
+  }
+
+  // Signals in a webRequest onBeforeRequest event (decoded body passed in)
+  inspectRequest(url, body) {
+    const signals = [];
+    if (this.apiPaths.some(pattern => pattern.test(url.pathname))) signals.push('llm_api_path');
+
+    let payload = null;
+    try {
+      payload = JSON.parse(body.slice(0, this.maxBodyLength));
+    } catch (error) {
+      return signals;
+    }
+    if (!payload || typeof payload !== 'object') return signals;
+
+    if (Array.isArray(payload.messages) &&
+        payload.messages.some(message => message && message.role && 'content' in message)) {
+      signals.push('chat_messages');
+    }
+    if (typeof payload.model === 'string') signals.push('model_field');
+    if (typeof payload.prompt === 'string') signals.push('prompt_field');
+    if (payload.stream === true) signals.push('stream_flag');
+    return signals;
+  }
+
+  // Signals in a webRequest onHeadersReceived event
+  inspectResponseHeaders(headers = []) {
+    const contentType = headers.find(header => header.name.toLowerCase() === 'content-type');
+    return contentType && /text\/event-stream/i.test(contentType.value) ? ['event_stream'] : [];
+  }
+
+  confidence(signals) {
+    const miss = signals.reduce((product, signal) => product * (1 - (this.signalWeights[signal] || 0)), 1);
+    return Math.round((1 - miss) * 100) / 100;
+  }
+
+  record(host, signals, url) {
+    if (!signals.length) return;
+
+    const now = Date.now();
+    const service = this.services[host] || {
+      host,
+      firstSeen: now,
+      hits: 0,
+      signals: []
+    };
+
+    service.lastSeen = now;
+    service.hits++;
+    service.signals = Array.from(new Set([...service.signals, ...signals]));
+    service.confidence = this.confidence(service.signals);
+    if (!service.sampleUrl || signals.includes('llm_api_path')) service.sampleUrl = url;
+    this.services[host] = service;
+
+    this.prune();
+    this.save();
+  }
+
+  // Listed as "unrecognized AI service" entries, most confident first
+  list() {
+    return Object.values(this.services)
+      .filter(service => service.confidence >= this.minConfidence)
+      .sort((a, b) => b.confidence - a.confidence || b.lastSeen - a.lastSeen);
+  }
+
+  remove(host) {
+    delete this.services[host];
+    this.save();
+  }
+
+  prune() {
+    const hosts = Object.keys(this.services);
+    if (hosts.length <= this.maxServices) return;
+
+    hosts
+      .sort((a, b) => this.services[a].lastSeen - this.services[b].lastSeen)
+      .slice(0, hosts.length - this.maxServices)
+      .forEach(host => delete this.services[host]);
+  }
+
+  save() {
+    chrome.storage.local.set({ discoveredServices: this.services });
+  }
+}
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, DETECTION_SCRIPTS } = require('./extension');
+
+const EntropyDetector = load(DETECTION_SCRIPTS).get('EntropyDetector');
+
+test('words, UUIDs in URLs, git hashes and data URIs are not secrets', () => {
+  const detector = new EntropyDetector();
+  assert.equal(detector.detect('internationalization_configuration_settings').length, 0);
+  assert.equal(detector.detect('see https://example.com/items/123e4567-e89b-12d3-a456-426614174000').length, 0);
+  assert.equal(detector.detect('commit 9fceb02d0ae598e95dc970b74767f19372d61af8').length, 0);
+  assert.equal(detector.detect('<img src="data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk">').length, 0);
+});
+
+test('tokens claimed by another rule are not reported again', () => {
+  const detector = new EntropyDetector();
+  const token = 'Zk3qP9xW2mL7vR4tY8nB1cD6';
+  assert.equal(detector.detect(`token ${token}`, 4.5, [token]).length, 0);
+});
+
+test('the limit scales with the most entropy a token length allows', () => {
+  const detector = new EntropyDetector();
+  // 20 characters allow at most log2(20) = 4.32 bits, below the raw 4.5 threshold
+  assert.deepEqual([...detector.detect('key Zk3qP9xW2mL7vR4tY8nB')], ['Zk3qP9xW2mL7vR4tY8nB']);
+  assert.equal(detector.detect('key ab12ab12ab12ab12ab12').length, 0);
+
+  const token32 = 'aB3dE5gH7jK9mN1pQ3sT5vW7yZ9bC1dF';
+  assert.deepEqual([...detector.detect(`key ${token32}`)], [token32]);
+  assert.equal(detector.detect('key abc123abc123abc123abc123abc123').length, 0);
+
+  const token40 = 'aB3dE5gH7jK9mN1pQ3sT5vW7yZ9bC1dF3hJ5kL7n';
+  assert.deepEqual([...detector.detect(`key ${token40}`)], [token40]);
+  assert.equal(detector.detect('key aaaa1111bbbb2222aaaa1111bbbb2222aaaa1111').length, 0);
+});
+
+test('model names and UUIDs in request bodies are not secrets', () => {
+  const detector = new EntropyDetector();
+  const body = '{"model":"gpt-4o-mini-2024-07-18","fallback":"claude-3-5-sonnet-20241022",' +
+    '"conversation_id":"9b2f1c3e-5d4a-4e6f-8a7b-0c1d2e3f4a5b","name":"userAccount2024Settings"}';
+  assert.equal(detector.detect(body).length, 0);
+});
+
+test('hex tokens are held to the hex alphabet', () => {
+  const detector = new EntropyDetector();
+  const hex = '3f9a1c7e5b2d8046e1f3a9c7b5d20864';
+  assert.deepEqual([...detector.detect(`secret=${hex}`)], [hex]);
+  assert.equal(detector.detect('secret=00000000000000000000ffffffffffff').length, 0);
+});
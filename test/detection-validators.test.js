@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, DETECTION_SCRIPTS } = require('./extension');
+
+const DetectionValidators = load(DETECTION_SCRIPTS).get('DetectionValidators');
+
+test('credit cards need a Luhn checksum and a known issuer', () => {
+  assert.equal(DetectionValidators.creditCard('4111 1111 1111 1111'), 'pass');
+  assert.equal(DetectionValidators.creditCard('6011000990139424'), 'pass');
+  assert.equal(DetectionValidators.creditCard('4111 1111 1111 1112'), 'fail');
+  assert.equal(DetectionValidators.creditCard('4111 1111'), 'fail');
+  assert.equal(DetectionValidators.creditCard('9111111111111111'.slice(0, 15)), 'weak');
+});
+
+test('SSNs follow SSA issuing rules, undelimited runs are weak', () => {
+  assert.equal(DetectionValidators.ssn('123-45-6789'), 'pass');
+  assert.equal(DetectionValidators.ssn('123456789'), 'weak');
+  assert.equal(DetectionValidators.ssn('000-45-6789'), 'fail');
+  assert.equal(DetectionValidators.ssn('666-45-6789'), 'fail');
+  assert.equal(DetectionValidators.ssn('912-45-6789'), 'fail');
+  assert.equal(DetectionValidators.ssn('123-00-6789'), 'fail');
+  assert.equal(DetectionValidators.ssn('123-45-0000'), 'fail');
+});
+
+test('NANP phone numbers reject N11 and 0/1 area codes', () => {
+  assert.equal(DetectionValidators.nanpPhone('(415) 555-2671'), 'pass');
+  assert.equal(DetectionValidators.nanpPhone('4155552671'), 'weak');
+  assert.equal(DetectionValidators.nanpPhone('(111) 555-2671'), 'fail');
+  assert.equal(DetectionValidators.nanpPhone('(411) 555-2671'), 'fail');
+});
+
+test('IPv4 octets are at most 255 without leading zeros', () => {
+  assert.equal(DetectionValidators.ipv4('10.0.0.1'), 'pass');
+  assert.equal(DetectionValidators.ipv4('192.168.1.256'), 'fail');
+  assert.equal(DetectionValidators.ipv4('10.0.01.1'), 'fail');
+  assert.equal(DetectionValidators.ipv4('10.0.1'), 'fail');
+});
+
+test('international identifiers are checked with their checksums', () => {
+  assert.equal(DetectionValidators.iban('GB82 WEST 1234 5698 7654 32'), 'pass');
+  assert.equal(DetectionValidators.iban('GB82 WEST 1234 5698 7654 33'), 'fail');
+  assert.equal(DetectionValidators.canadianSin('130 692 544'), 'pass');
+  assert.equal(DetectionValidators.canadianSin('046 454 286'), 'fail'); // 0 is never issued first
+  assert.equal(DetectionValidators.germanTaxId('86095742719'), 'pass');
+  assert.equal(DetectionValidators.germanTaxId('86095742718'), 'fail');
+  assert.equal(DetectionValidators.aadhaar('2341 2341 2346'), 'pass');
+  assert.equal(DetectionValidators.aadhaar('2341 2341 2345'), 'fail');
+  assert.equal(DetectionValidators.australianTfn('123 456 782'), 'pass');
+  assert.equal(DetectionValidators.australianTfn('123 456 789'), 'fail');
+  assert.equal(DetectionValidators.e164Phone('+44 20 7946 0958'), 'pass');
+  assert.equal(DetectionValidators.e164Phone('+1 234'), 'fail');
+});
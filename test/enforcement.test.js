@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, plain } = require('./extension');
+
+const CLEAN = 'hello there, how are you';
+const MEDIUM = 'email me at jane.doe@example.com'; // Scores 2
+const HIGH = 'email jane.doe@example.com ssn 123-45-6789 card 4111 1111 1111 1111'; // Scores 10
+
+async function setup(settings) {
+  return loadBackground({ sync: { llmMonitorSettings: { warnThreshold: 2, ...settings } } });
+}
+
+function check(monitor, content, tabId = 1) {
+  return monitor.checkPrompt({ source: 'composer', content, provider: 'OpenAI ChatGPT', pageUrl: 'https://chatgpt.com/', tabId });
+}
+
+async function storedEntries(chrome) {
+  const { logIndex = [] } = chrome.storage.local.data;
+  return plain(logIndex.map(item => chrome.storage.local.data[item.key]));
+}
+
+test('monitor mode allows everything without a verdict', async () => {
+  const { monitor } = await setup({ enforcementMode: 'monitor' });
+  assert.equal((await check(monitor, HIGH)).action, 'allow');
+});
+
+test('block mode: decision table', async () => {
+  const { monitor, chrome } = await setup({ enforcementMode: 'block' });
+
+  assert.equal((await check(monitor, CLEAN)).action, 'allow');
+  const warned = await check(monitor, MEDIUM);
+  assert.equal(warned.action, 'warn');
+  assert.ok(warned.checkId);
+
+  const blocked = plain(await check(monitor, HIGH));
+  assert.equal(blocked.action, 'block');
+  assert.equal(blocked.riskScore, 10);
+  assert.deepEqual(blocked.items.map(item => item.type).sort(), ['creditCard', 'email', 'ssn']);
+
+  const entries = await storedEntries(chrome);
+  assert.deepEqual(entries.map(entry => [entry.type, entry.enforcement.action]), [['blocked', 'block']]);
+});
+
+test('each blocked attempt is logged separately', async () => {
+  const { monitor, chrome } = await setup({ enforcementMode: 'block' });
+  await check(monitor, HIGH);
+  await check(monitor, HIGH);
+  assert.equal((await storedEntries(chrome)).length, 2);
+});
+
+test('warn mode warns at the warning threshold and records the decision', async () => {
+  const { monitor, chrome } = await setup({ enforcementMode: 'warn' });
+
+  const verdict = await check(monitor, HIGH);
+  assert.equal(verdict.action, 'warn');
+  await monitor.recordDecision({ checkId: verdict.checkId, decision: 'proceed', reason: 'Test or synthetic data', decisionTime: 1200 });
+
+  const [entry] = await storedEntries(chrome);
+  assert.equal(entry.type, 'request');
+  assert.deepEqual(plain(entry.justification), {
+    decision: 'proceed', reason: 'Test or synthetic data', text: null, decisionTime: 1200
+  });
+
+  // The send that follows is not warned again
+  assert.equal((await check(monitor, HIGH)).action, 'allow');
+});
+
+test('a warning decision is recorded after a service worker restart', async () => {
+  const { monitor, chrome } = await setup({ enforcementMode: 'warn' });
+  const verdict = await check(monitor, HIGH);
+
+  const restarted = await loadBackground({
+    sync: chrome.storage.sync.data,
+    local: chrome.storage.local.data,
+    session: chrome.storage.session.data
+  });
+  await restarted.monitor.recordDecision({ checkId: verdict.checkId, decision: 'cancel' });
+
+  const [entry] = await storedEntries(restarted.chrome);
+  assert.equal(entry.type, 'blocked');
+  assert.equal(entry.justification.decision, 'cancel');
+  assert.deepEqual(Object.keys(restarted.chrome.storage.session.data).filter(key => key.startsWith('pending_check_')), []);
+});
+
+test('a decision for an unknown check is not logged', async () => {
+  const { monitor, chrome } = await setup({ enforcementMode: 'warn' });
+  await monitor.recordDecision({ checkId: 'missing', decision: 'proceed' });
+  assert.equal((await storedEntries(chrome)).length, 0);
+});
+
+test('sending anyway approves only the values the warning was about', async () => {
+  const { monitor } = await setup({ enforcementMode: 'warn' });
+  const verdict = await check(monitor, MEDIUM);
+  await monitor.recordDecision({ checkId: verdict.checkId, decision: 'proceed' });
+
+  // A request body without a payload parser carries the same value in another shape
+  const network = (body, tabId = 1) => monitor.checkPrompt({
+    source: 'network', url: 'https://example.com/unparsed', body, provider: 'OpenAI ChatGPT', tabId
+  });
+  assert.equal((await network('{"q":"email me at jane.doe@example.com","v":1}')).action, 'allow');
+  assert.equal((await network('{"q":"email me at john.roe@example.com"}')).action, 'warn');
+  assert.equal((await network('{"q":"email me at jane.doe@example.com"}', 2)).action, 'warn');
+});
+
+test('a cancelled warning is logged as blocked', async () => {
+  const { monitor, chrome } = await setup({ enforcementMode: 'warn' });
+  const verdict = await check(monitor, HIGH);
+  await monitor.recordDecision({ checkId: verdict.checkId, decision: 'cancel' });
+
+  const [entry] = await storedEntries(chrome);
+  assert.equal(entry.type, 'blocked');
+  assert.equal(entry.justification.decision, 'cancel');
+});
+
+test('redact mode returns the values to replace and logs only placeholders', async () => {
+  const { monitor, chrome } = await setup({ enforcementMode: 'redact' });
+
+  const verdict = plain(await check(monitor, HIGH));
+  assert.equal(verdict.action, 'redact');
+  assert.deepEqual(verdict.redactions.map(item => item.type).sort(), ['creditCard', 'email', 'ssn']);
+
+  await monitor.recordRedaction({
+    checkId: verdict.checkId,
+    content: 'email [EMAIL_1] ssn [SSN_1] card [CARD_1]',
+    redactions: [{ type: 'email', placeholder: '[EMAIL_1]' }]
+  });
+  const [entry] = await storedEntries(chrome);
+  assert.equal(entry.type, 'request');
+  assert.equal(entry.riskScore, 0);
+  assert.ok(!JSON.stringify(chrome.storage.local.data).includes('jane.doe@example.com'));
+});
+
+test('a failed redaction is logged as blocked', async () => {
+  const { monitor, chrome } = await setup({ enforcementMode: 'redact' });
+  const verdict = await check(monitor, HIGH);
+  await monitor.recordRedaction({ checkId: verdict.checkId, failed: true });
+
+  const [entry] = await storedEntries(chrome);
+  assert.equal(entry.type, 'blocked');
+  assert.equal(entry.enforcement.redactionFailed, true);
+});
+
+test('redact mode blocks and logs prompts with nothing to redact', async () => {
+  const { monitor, chrome } = await setup({ enforcementMode: 'redact', riskThreshold: 2 });
+  monitor.exactDataMatcher.match = async () => [{
+    type: 'edm:accounts', label: 'Exact match: accounts', category: 'confidential', values: ['sha256:0123456789ab']
+  }];
+
+  const verdict = plain(await check(monitor, 'please look at account 1042'));
+  assert.equal(verdict.action, 'block');
+  assert.ok(verdict.note);
+
+  const [entry] = await storedEntries(chrome);
+  assert.equal(entry.type, 'blocked');
+  assert.equal(entry.enforcement.nothingToRedact, true);
+});
+
+test('managed policy wins over the settings page mode', async () => {
+  const { monitor } = await loadBackground({
+    sync: { llmMonitorSettings: { enforcementMode: 'monitor' } },
+    managed: { enforcementMode: 'block' }
+  });
+  assert.equal((await check(monitor, HIGH)).action, 'block');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, createChrome, plain } = require('./extension');
+
+async function hashes(ExactDataMatcher, salt, values) {
+  return Promise.all(values.map(value => ExactDataMatcher.sha256Hex(salt + ExactDataMatcher.normalize(value))));
+}
+
+test('prompt tokens and n-grams are matched against salted hashes', async () => {
+  const extension = load(['exact-data-match.js']);
+  const ExactDataMatcher = extension.get('ExactDataMatcher');
+  const matcher = new ExactDataMatcher();
+
+  matcher.setDictionaries([
+    { name: 'accounts', salt: 's1', category: 'pii', hashes: await hashes(ExactDataMatcher, 's1', ['ACC-1042']) },
+    { name: 'codenames', salt: 's2', maxNgram: 2, hashes: await hashes(ExactDataMatcher, 's2', ['blue falcon']) }
+  ]);
+
+  const results = plain(await matcher.match('Ticket for acc-1042 about Project Blue  Falcon.'));
+  assert.deepEqual(results.map(result => [result.type, result.category, result.values.length]), [
+    ['edm:accounts', 'pii', 1],
+    ['edm:codenames', 'confidential', 1]
+  ]);
+  assert.match(results[0].values[0], /^sha256:[0-9a-f]{12}$/);
+
+  const none = plain(await matcher.match('nothing to see'));
+  assert.deepEqual(none.map(result => result.values.length), [0, 0]);
+});
+
+test('dictionaries sharing a salt hash each candidate once', async () => {
+  const extension = load(['exact-data-match.js']);
+  const ExactDataMatcher = extension.get('ExactDataMatcher');
+  const matcher = new ExactDataMatcher();
+
+  matcher.setDictionaries([
+    { name: 'accounts', salt: 'org', hashes: await hashes(ExactDataMatcher, 'org', ['ACC-1042']) },
+    { name: 'employees', salt: 'org', hashes: await hashes(ExactDataMatcher, 'org', ['E-7731']) }
+  ]);
+
+  const sha256Hex = ExactDataMatcher.sha256Hex;
+  let calls = 0;
+  ExactDataMatcher.sha256Hex = value => {
+    calls++;
+    return sha256Hex(value);
+  };
+
+  const results = plain(await matcher.match('acc-1042 and e-7731 again'));
+  assert.equal(calls, 4);
+  assert.deepEqual(results.map(result => result.values.length), [1, 1]);
+});
+
+test('invalid dictionaries are skipped', () => {
+  const ExactDataMatcher = load(['exact-data-match.js']).get('ExactDataMatcher');
+  const matcher = new ExactDataMatcher();
+
+  matcher.setDictionaries([
+    { name: 'bad name!', salt: 's', hashes: ['a'.repeat(64)] },
+    { name: 'noHashes', salt: 's', hashes: [] },
+    { name: 'ok', salt: 's', hashes: ['A'.repeat(64)] }
+  ]);
+  assert.deepEqual(plain(matcher.describeDictionaries()).map(d => d.name), ['ok']);
+});
+
+test('managed dictionaries win by name and malformed storage is ignored', async () => {
+  const managed = { name: 'accounts', salt: 'm', hashes: ['b'.repeat(64)] };
+  const uploaded = { name: 'accounts', salt: 'u', hashes: ['c'.repeat(64)] };
+  const chrome = createChrome({ managed: { edmDictionaries: [managed] }, local: { edmDictionaries: [uploaded] } });
+  const ExactDataMatcher = load(['exact-data-match.js'], { chrome }).get('ExactDataMatcher');
+
+  const matcher = new ExactDataMatcher();
+  await matcher.load();
+  assert.deepEqual(plain(matcher.describeDictionaries()).map(d => d.source), ['managed']);
+
+  chrome.storage.managed.data.edmDictionaries = 'not a list';
+  await matcher.load();
+  assert.deepEqual(plain(matcher.describeDictionaries()).map(d => d.source), ['uploaded']);
+});
@@ -0,0 +1,154 @@
+// extension.js - Loads the extension's global scripts for the tests
+// The scripts share one global scope in the extension (importScripts, the manifest
+// content_scripts, settings.html script tags); here they share one VM context, with an
+// in-memory chrome.* API.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: (listener) => listeners.includes(listener)
+  };
+}
+
+function createStorageArea(data = {}) {
+  return {
+    data,
+    async get(keys) {
+      if (keys === null || keys === undefined) return { ...data };
+      const result = {};
+      for (const key of Array.isArray(keys) ? keys : [keys]) {
+        if (key in data) result[key] = data[key];
+      }
+      return result;
+    },
+    // Stored values are copies, as in chrome.storage
+    async set(items) {
+      Object.assign(data, JSON.parse(JSON.stringify(items)));
+    },
+    async remove(keys) {
+      for (const key of Array.isArray(keys) ? keys : [keys]) delete data[key];
+    }
+  };
+}
+
+// storage: { local, sync, managed, session } initial contents
+function createChrome(storage = {}) {
+  const rules = [];
+  return {
+    storage: {
+      local: createStorageArea(storage.local),
+      sync: createStorageArea(storage.sync),
+      managed: createStorageArea(storage.managed),
+      session: createStorageArea(storage.session),
+      onChanged: createEvent()
+    },
+    runtime: {
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      getURL: (file) => `chrome-extension://test/${file}`,
+      getManifest: () => JSON.parse(fs.readFileSync(path.join(root, 'manifest.json'), 'utf8'))
+    },
+    webRequest: {
+      onBeforeRequest: createEvent(),
+      onResponseStarted: createEvent(),
+      onHeadersReceived: createEvent(),
+      onBeforeRedirect: createEvent(),
+      onErrorOccurred: createEvent()
+    },
+    declarativeNetRequest: {
+      rules,
+      async getDynamicRules() {
+        return rules.slice();
+      },
+      // JavaScript regular expressions stand in for RE2 here
+      async isRegexSupported({ regex }) {
+        try {
+          new RegExp(regex);
+          return { isSupported: true };
+        } catch (error) {
+          return { isSupported: false, reason: 'syntaxError' };
+        }
+      },
+      async updateDynamicRules({ removeRuleIds = [], addRules = [] }) {
+        const kept = rules.filter(rule => !removeRuleIds.includes(rule.id));
+        rules.splice(0, rules.length, ...kept, ...addRules);
+      }
+    },
+    alarms: { get: async () => null, create() {}, onAlarm: createEvent() },
+    permissions: {
+      onAdded: createEvent(),
+      onRemoved: createEvent(),
+      contains: async () => false
+    },
+    scripting: {
+      getRegisteredContentScripts: async () => [],
+      unregisterContentScripts: async () => {},
+      registerContentScripts: async () => {}
+    },
+    notifications: { created: [], create(options) { this.created.push(options); } }
+  };
+}
+
+// Runs the files in order in a fresh context; get(name) returns a class, constant or
+// variable they declared
+function load(files, { chrome = createChrome(), globals = {} } = {}) {
+  const context = vm.createContext({
+    console,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout,
+    atob,
+    btoa,
+    fetch: async () => { throw new Error('No network in tests'); },
+    chrome,
+    ...globals
+  });
+  context.self = context;
+
+  const run = (file) => vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+  context.importScripts = (...names) => names.forEach(run);
+  files.forEach(run);
+
+  return { chrome, context, get: (name) => vm.runInContext(name, context) };
+}
+
+// The service worker with the given storage; resolves once its settings have loaded
+async function loadBackground(storage) {
+  const extension = load(['background.js'], { chrome: createChrome(storage) });
+  const monitor = extension.get('monitor');
+  await monitor.settingsLoaded;
+  return { ...extension, monitor };
+}
+
+const DETECTION_SCRIPTS = [
+  'detection-validators.js',
+  'detection-credentials.js',
+  'detection-locales.js',
+  'detection-entropy.js',
+  'detection-bulk.js',
+  'detection-scoring.js',
+  'detection-engine.js'
+];
+
+// Objects from the VM context have their own prototypes, which deepStrictEqual compares
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { load, loadBackground, createChrome, plain, DETECTION_SCRIPTS };
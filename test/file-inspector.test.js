@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { load } = require('./extension');
+
+const FileInspector = load(['file-inspector.js'], {
+  globals: { Blob, Response, DecompressionStream }
+}).get('FileInspector');
+
+// Single-entry zip (deflate) with just the headers readZip looks at
+function zip(name, content) {
+  const nameBytes = Buffer.from(name);
+  const data = zlib.deflateRawSync(content);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(nameBytes.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(data.length, 20);
+  central.writeUInt16LE(nameBytes.length, 28);
+
+  const centralOffset = local.length + nameBytes.length + data.length;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(centralOffset, 16);
+
+  return Buffer.concat([local, nameBytes, data, central, nameBytes, end]);
+}
+
+function file(name, bytes) {
+  return {
+    name,
+    type: '',
+    size: bytes.length,
+    arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)
+  };
+}
+
+test('docx text is extracted from word/document.xml', async () => {
+  const xml = '<w:document><w:p><w:t>Quarterly plan</w:t></w:p><w:p><w:t>A &amp; B</w:t></w:p></w:document>';
+  const result = await new FileInspector().inspect(file('plan.docx', zip('word/document.xml', xml)));
+
+  assert.equal(result.extraction, 'docx');
+  assert.equal(result.text, 'Quarterly plan\nA & B');
+  assert.match(result.sha256, /^[0-9a-f]{64}$/);
+});
+
+test('an entry that inflates past the cap is truncated, not read whole', async () => {
+  const inspector = new FileInspector();
+  inspector.maxEntryBytes = 64 * 1024;
+  const xml = `<w:p><w:t>${'A'.repeat(1024 * 1024)}</w:t></w:p>`;
+  const result = await inspector.inspect(file('bomb.docx', zip('word/document.xml', xml)));
+
+  assert.equal(result.extraction, 'truncated');
+  assert.ok(result.text.length <= 64 * 1024);
+});
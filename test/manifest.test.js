@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, plain } = require('./extension');
+const manifest = require('../manifest.json');
+
+const PROVIDER_ADAPTERS = load(['provider-adapters.js']).get('PROVIDER_ADAPTERS');
+
+// webRequest only reports hosts the extension has permission for
+test('every built-in adapter host is covered by host_permissions', () => {
+  const hosts = manifest.host_permissions.map(pattern => pattern.replace(/^\*:\/\/|\/\*$/g, ''));
+  const covered = host => hosts.some(pattern =>
+    pattern.startsWith('*.') ? host === pattern.slice(2) || host.endsWith(pattern.slice(1)) : host === pattern
+  );
+
+  const missing = PROVIDER_ADAPTERS.flatMap(adapter => adapter.hosts).filter(host => !covered(host));
+  assert.deepEqual(plain(missing), []);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, loadBackground, plain } = require('./extension');
+
+function setup(providerPolicies, prohibitedAction = 'redirect') {
+  const extension = load(['provider-adapters.js', 'provider-access-policy.js']);
+  const policy = new (extension.get('ProviderAccessPolicy'))();
+  policy.configure({ providerPolicies, prohibitedAction });
+  return { policy, adapters: new (extension.get('ProviderRegistry'))().adapters };
+}
+
+test('no rules while nothing is prohibited', () => {
+  const { policy, adapters } = setup({ chatgpt: 'sanctioned' });
+  assert.deepEqual(plain(policy.buildRules(adapters)), []);
+});
+
+test('prohibited web providers redirect their pages to the policy page', () => {
+  const { policy, adapters } = setup({ claude: 'prohibited' });
+  const rules = plain(policy.buildRules(adapters));
+
+  const page = rules.find(rule => rule.condition.resourceTypes && rule.condition.resourceTypes.includes('main_frame'));
+  assert.deepEqual(page.action, {
+    type: 'redirect',
+    redirect: { extensionPath: '/blocked.html?provider=claude' }
+  });
+  assert.deepEqual(page.condition.requestDomains, ['claude.ai']);
+  assert.equal(new Set(rules.map(rule => rule.id)).size, rules.length);
+});
+
+test('prohibitedAction block blocks pages instead of redirecting', () => {
+  const { policy, adapters } = setup({ claude: 'prohibited' }, 'block');
+  const rules = plain(policy.buildRules(adapters));
+  assert.ok(rules.every(rule => rule.action.type === 'block'));
+});
+
+test('allowed API hosts below a prohibited host are excluded', () => {
+  const { policy, adapters } = setup({ perplexity: 'prohibited' });
+  const rules = plain(policy.buildRules(adapters));
+  assert.ok(rules.length > 0);
+  for (const rule of rules) {
+    assert.deepEqual(rule.condition.excludedRequestDomains, ['api.perplexity.ai']);
+  }
+});
+
+test('rules on shared hosts are limited to the entry pages and API paths', () => {
+  const { policy, adapters } = setup({ bing: 'prohibited', notion: 'prohibited' });
+  const rules = plain(policy.buildRules(adapters));
+  const matches = (rule, url) => new RegExp(rule.condition.regexFilter, 'i').test(url);
+
+  const [bingPage, bingApi, notionApi, ...rest] = rules;
+  assert.deepEqual(rest, []);
+  assert.deepEqual(bingPage.condition.resourceTypes, ['main_frame']);
+  assert.ok(matches(bingPage, 'https://www.bing.com/chat?form=NTPCHB'));
+  assert.ok(!matches(bingPage, 'https://www.bing.com/search?q=weather'));
+  assert.ok(matches(bingApi, 'https://www.bing.com/turing/conversation/create?bundleVersion=1'));
+  assert.ok(matches(bingApi, 'wss://sydney.bing.com/sydney/ChatHub'));
+  assert.ok(!matches(bingApi, 'https://www.bing.com/images/search?q=cat'));
+
+  // Notion AI has no pages of its own, so only its API is blocked
+  assert.equal(notionApi.condition.resourceTypes, undefined);
+  assert.ok(matches(notionApi, 'https://www.notion.so/api/v3/getCompletion'));
+  assert.ok(!matches(notionApi, 'https://www.notion.so/api/v3/getCompletionStatus'));
+  assert.ok(!matches(notionApi, 'https://www.notion.so/api/v3/loadPageChunk'));
+});
+
+test('unsupported path filters fall back to blocking the hosts', async () => {
+  const { monitor, chrome } = await loadBackground({
+    sync: { llmMonitorSettings: { providerPolicies: { bing: 'prohibited' } } }
+  });
+  chrome.declarativeNetRequest.isRegexSupported = async () => ({ isSupported: false, reason: 'memoryLimitExceeded' });
+  monitor.queueScriptUpdate(() => monitor.applyProviderRules());
+  await monitor.scriptUpdates;
+
+  assert.equal(chrome.declarativeNetRequest.rules.length, 2);
+  assert.ok(chrome.declarativeNetRequest.rules.every(rule => !rule.condition.regexFilter));
+});
+
+test('managed classifications win over the settings page', () => {
+  const { policy, adapters } = setup({ claude: 'sanctioned' });
+  policy.managed = { providerPolicies: { claude: 'prohibited' } };
+  const claude = adapters.find(adapter => adapter.id === 'claude');
+  assert.equal(policy.classify(claude), 'prohibited');
+  assert.equal(policy.isLocked(claude), true);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, plain } = require('./extension');
+
+const STREAM_URL = 'https://llm.internal.example/v1/chat/completions';
+
+async function setup() {
+  const { monitor } = await loadBackground({ sync: { llmMonitorSettings: { discoveryMode: true } } });
+  monitor.inspectDiscoveryHeaders({
+    tabId: 3,
+    url: STREAM_URL,
+    responseHeaders: [{ name: 'Content-Type', value: 'text/event-stream' }]
+  });
+  return monitor;
+}
+
+test('probe signals are credited to the host that streamed to the tab', async () => {
+  const monitor = await setup();
+  monitor.recordProbeSignal({ signals: ['sse_chat_chunks', 'made_up'], url: STREAM_URL }, { tab: { id: 3 } });
+
+  const service = plain(monitor.discovery.services['llm.internal.example']);
+  assert.deepEqual(service.signals.sort(), ['event_stream', 'sse_chat_chunks']);
+  assert.equal(service.confidence, 0.57);
+});
+
+test('probe signals for streams webRequest did not see are dropped', async () => {
+  const monitor = await setup();
+  monitor.recordProbeSignal({ signals: ['sse_chat_chunks'], url: 'https://other.example/v1/messages' }, { tab: { id: 3 } });
+  monitor.recordProbeSignal({ signals: ['sse_chat_chunks'], url: STREAM_URL }, { tab: { id: 4 } });
+
+  assert.equal(monitor.discovery.services['other.example'], undefined);
+  assert.deepEqual(plain(monitor.discovery.services['llm.internal.example'].signals), ['event_stream']);
+});
+
+test('malformed probe messages are rejected without throwing', async () => {
+  const monitor = await setup();
+  for (const data of [undefined, null, 'sse_chat_chunks', { signals: 'sse_chat_chunks', url: STREAM_URL }, { signals: [] }]) {
+    monitor.recordProbeSignal(data, { tab: { id: 3 } });
+  }
+  assert.deepEqual(plain(monitor.discovery.services['llm.internal.example'].signals), ['event_stream']);
+});